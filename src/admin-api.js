@@ -0,0 +1,218 @@
+/**
+ * Local admin API for a running dispatcher
+ *
+ * JSON over HTTP, served on a unix socket (default ~/.vap/dispatcher/admin.sock)
+ * and optionally on 127.0.0.1:<port>. The dispatcher supplies a state
+ * snapshot function and action handlers; this module only does routing,
+ * auth and the client side used by `status` and `admin`.
+ *
+ * With `enabled: false` the unix socket is still bound, since it is how other
+ * commands tell a dispatcher is running, but every request gets a 403.
+ *
+ * Routes:
+ *   GET  /state                    Active jobs, queue, agents, retries, sessions
+ *   POST /jobs/:jobId/cancel       Cancel a job ({ reason, force }): an active one
+ *                                  delivers a cancellation, a queued one is dropped
+ *   POST /jobs/:jobId/decline      Sign and submit a decline ({ reason, agent }) for
+ *                                  a job that is still requested
+ *   POST /agents/:agentId/pause    Stop giving jobs to an agent
+ *   POST /agents/:agentId/resume   Put a paused agent back in the pool
+ *   POST /drain                    Stop taking new jobs; active jobs finish
+ *   POST /undrain                  Resume taking jobs
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+const ROUTES = [
+  ['GET', /^\/state$/, (h) => h.getState()],
+  ['POST', /^\/jobs\/([^/]+)\/cancel$/, (h, [jobId], body) => h.actions.cancelJob(jobId, body)],
+  ['POST', /^\/jobs\/([^/]+)\/decline$/, (h, [jobId], body) => h.actions.declineJob(jobId, body)],
+  ['POST', /^\/agents\/([^/]+)\/pause$/, (h, [agentId]) => h.actions.pauseAgent(agentId)],
+  ['POST', /^\/agents\/([^/]+)\/resume$/, (h, [agentId]) => h.actions.resumeAgent(agentId)],
+  ['POST', /^\/drain$/, (h) => h.actions.drain()],
+  ['POST', /^\/undrain$/, (h) => h.actions.undrain()],
+];
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8').trim();
+      if (!raw) return resolve({});
+      try {
+        resolve(JSON.parse(raw));
+      } catch {
+        reject(httpError(400, 'Body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Constant-time check of "Authorization: Bearer <token>"
+function hasBearerToken(req, token) {
+  const expected = Buffer.from(`Bearer ${token}`);
+  const given = Buffer.from(String(req.headers.authorization || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function createHandler(handlers, token) {
+  return async (req, res) => {
+    const send = (statusCode, payload) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+
+    try {
+      // The TCP listener is reachable by any local user — require the token there
+      if (token && req.socket.remoteAddress && !hasBearerToken(req, token)) {
+        throw httpError(401, 'Unauthorized');
+      }
+
+      const url = new URL(req.url, 'http://localhost');
+      for (const [method, pattern, handle] of ROUTES) {
+        const match = url.pathname.match(pattern);
+        if (!match) continue;
+        if (req.method !== method) throw httpError(405, 'Method not allowed');
+        const body = method === 'POST' ? await readBody(req) : {};
+        const params = match.slice(1).map(decodeURIComponent);
+        const result = await handle(handlers, params, body);
+        return send(200, result ?? { ok: true });
+      }
+      throw httpError(404, 'Not found');
+    } catch (e) {
+      send(e.statusCode || 500, { error: e.message });
+    }
+  };
+}
+
+// Resolves true if something is already accepting connections on socketPath
+function isSocketLive(socketPath) {
+  return new Promise((resolve) => {
+    const conn = net.connect(socketPath);
+    conn.once('connect', () => {
+      conn.end();
+      resolve(true);
+    });
+    conn.once('error', () => resolve(false));
+  });
+}
+
+/**
+ * Start the admin API.
+ *
+ * @param {Object} options
+ * @param {boolean} [options.enabled] - false: bind the socket but refuse every request
+ * @param {string} options.socketPath - Unix socket to listen on
+ * @param {number} [options.port] - Also listen on 127.0.0.1:port
+ * @param {string} [options.token] - Bearer token required on the TCP listener
+ * @param {Function} options.getState - Returns the JSON state snapshot
+ * @param {Object} options.actions - { cancelJob, declineJob, pauseAgent, resumeAgent, drain, undrain }
+ * @returns {Promise<{ close: Function }>}
+ */
+async function startAdminServer({ enabled = true, socketPath, port, token, getState, actions }) {
+  if (fs.existsSync(socketPath)) {
+    if (await isSocketLive(socketPath)) {
+      throw new Error(`Another dispatcher is already running (admin socket ${socketPath} is live)`);
+    }
+    fs.unlinkSync(socketPath); // stale socket from a crashed process
+  }
+
+  const servers = [];
+  const handler = enabled ? createHandler({ getState, actions }, null) : (req, res) => {
+    res.writeHead(403, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ error: 'The dispatcher is running with its admin API disabled (admin.enabled: false)' }));
+  };
+  const unixServer = http.createServer(handler);
+  await new Promise((resolve, reject) => {
+    unixServer.once('error', reject);
+    unixServer.listen(socketPath, resolve);
+  });
+  fs.chmodSync(socketPath, 0o600);
+  servers.push(unixServer);
+
+  if (enabled && port) {
+    const tcpServer = http.createServer(createHandler({ getState, actions }, token));
+    await new Promise((resolve, reject) => {
+      tcpServer.once('error', reject);
+      tcpServer.listen(port, '127.0.0.1', resolve);
+    });
+    servers.push(tcpServer);
+  }
+
+  return {
+    close: () => {
+      servers.forEach(server => server.close());
+      try {
+        fs.unlinkSync(socketPath);
+      } catch {
+        // already gone
+      }
+    },
+  };
+}
+
+/**
+ * Call the admin API of a running dispatcher over its unix socket.
+ * Rejects with code 'ENOENT' / 'ECONNREFUSED' when no dispatcher is running.
+ */
+function requestAdmin(socketPath, method, urlPath, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : '';
+    const req = http.request({
+      socketPath,
+      method,
+      path: urlPath,
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(payload),
+      },
+      timeout: 30000, // cancel waits for docker stop's grace period
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        let data;
+        try {
+          data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch {
+          return reject(new Error(`Admin API returned non-JSON (HTTP ${res.statusCode})`));
+        }
+        if (res.statusCode >= 400) {
+          return reject(httpError(res.statusCode, data.error || `HTTP ${res.statusCode}`));
+        }
+        resolve(data);
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Admin API request timed out')));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+module.exports = {
+  startAdminServer,
+  requestAdmin,
+  httpError,
+};
@@ -0,0 +1,84 @@
+/**
+ * Per-buyer rate limits
+ *
+ * `buyerLimits` in config.json caps how many jobs one buyer VerusID can have
+ * running at once (maxConcurrent) and started in the last hour (maxPerHour)
+ * across the whole pool. The dispatcher keeps over-limit jobs queued and
+ * starts other buyers' jobs first.
+ *
+ * Each job that had to wait is recorded once per limit in
+ * ~/.vap/dispatcher/buyer-limits.jsonl for `report buyers`.
+ */
+
+const fs = require('fs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Which limit (if any) a buyer is at.
+ *
+ * @param {{ maxConcurrent: number|null, maxPerHour: number|null }} limits
+ * @param {{ running: number, lastHour: number }} usage
+ * @returns {{ limit: 'concurrent'|'hourly', count: number, max: number } | null}
+ */
+function checkBuyerLimits(limits, { running, lastHour }) {
+  if (limits.maxConcurrent != null && running >= limits.maxConcurrent) {
+    return { limit: 'concurrent', count: running, max: limits.maxConcurrent };
+  }
+  if (limits.maxPerHour != null && lastHour >= limits.maxPerHour) {
+    return { limit: 'hourly', count: lastHour, max: limits.maxPerHour };
+  }
+  return null;
+}
+
+function appendLimitHit(hitsPath, record) {
+  fs.appendFileSync(hitsPath, JSON.stringify(record) + '\n', { mode: 0o600 });
+}
+
+// Oldest first; torn lines skipped
+function readLimitHits(hitsPath) {
+  if (!fs.existsSync(hitsPath)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(hitsPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // skip torn line
+    }
+  }
+  return records;
+}
+
+/**
+ * One row per buyer: how many jobs waited on each limit, and when.
+ *
+ * @param {Object[]} hits - { ts, buyer, jobId, agentId, limit, count, max }
+ * @returns {Object[]} Sorted by jobs held back, most first
+ */
+function summarizeLimitHits(hits) {
+  const buyers = new Map();
+  for (const hit of hits) {
+    let row = buyers.get(hit.buyer);
+    if (!row) {
+      row = { buyer: hit.buyer, jobsHeld: 0, concurrent: 0, hourly: 0, firstAt: hit.ts, lastAt: hit.ts, jobIds: new Set() };
+      buyers.set(hit.buyer, row);
+    }
+    row.jobIds.add(hit.jobId);
+    if (hit.limit === 'concurrent') row.concurrent++;
+    if (hit.limit === 'hourly') row.hourly++;
+    if (hit.ts < row.firstAt) row.firstAt = hit.ts;
+    if (hit.ts > row.lastAt) row.lastAt = hit.ts;
+  }
+  return [...buyers.values()]
+    .map(({ jobIds, ...row }) => ({ ...row, jobsHeld: jobIds.size }))
+    .sort((a, b) => b.jobsHeld - a.jobsHeld || a.buyer.localeCompare(b.buyer));
+}
+
+module.exports = {
+  HOUR_MS,
+  checkBuyerLimits,
+  appendLimitHit,
+  readLimitHits,
+  summarizeLimitHits,
+};
@@ -3,7 +3,7 @@
  * VAP Dispatcher v2 — Ephemeral Job Containers
  * 
  * Manages pool of pre-registered agents, spawns ephemeral containers per job.
- * Max 9 concurrent. Queue if at capacity.
+ * Max concurrency from ~/.vap/dispatcher/config.json (default 9). Queue if at capacity.
  */
 
 const { Command } = require('commander');
@@ -12,32 +12,83 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { spawn } = require('child_process');
+const { PassThrough } = require('stream');
+const { loadConfig, describeConfig, validateContainerProfile, RETRY_CAUSES } = require('./config.js');
+const { EXIT_CODES, classifyExit } = require('./exit-codes.js');
+const { startAdminServer, requestAdmin, httpError } = require('./admin-api.js');
+const { startSigningService } = require('./signing-service.js');
+const { containerLimits, declineMessage } = require('./signing-policy.js');
+const { isEncryptedKeys, encryptKeys, decryptKeys, readPassphrase } = require('./keystore.js');
+const {
+  SIGNATURE_COLUMNS, deriveAuditKey, appendKey, appendSignature, flushSignatures, readSignatures, verifySignatureChain, filterSignatures,
+} = require('./signature-audit.js');
+const { Counter, Gauge, Histogram, Registry, startMetricsServer } = require('./metrics.js');
+const {
+  LEDGER_COLUMNS, EARNINGS_DIMENSIONS, PERIODS, appendLedger, readLedger, filterLedger, aggregateEarnings, toCsv,
+} = require('./ledger.js');
+const { validatePolicy, evaluatePolicy, normalizeId } = require('./policy.js');
+const {
+  HOUR_MS, checkBuyerLimits, appendLimitHit, readLimitHits, summarizeLimitHits,
+} = require('./buyer-limits.js');
+const { installJsonConsole, logJobLine, lineSplitter, appendJobLog, closeJobLogs, readJobLog, pruneJobLogs } = require('./logging.js');
 
 const VAP_DIR = path.join(os.homedir(), '.vap');
 const DISPATCHER_DIR = path.join(VAP_DIR, 'dispatcher');
 const AGENTS_DIR = path.join(DISPATCHER_DIR, 'agents');
 const QUEUE_DIR = path.join(DISPATCHER_DIR, 'queue');
 const JOBS_DIR = path.join(DISPATCHER_DIR, 'jobs');
+const DEAD_LETTER_DIR = path.join(DISPATCHER_DIR, 'dead-letter');
+const LOGS_DIR = path.join(DISPATCHER_DIR, 'logs');
 const SEEN_JOBS_PATH = path.join(DISPATCHER_DIR, 'seen-jobs.json');
+const LEDGER_PATH = path.join(DISPATCHER_DIR, 'ledger.jsonl');
+const BUYER_LIMITS_PATH = path.join(DISPATCHER_DIR, 'buyer-limits.jsonl');
+const SIGNATURES_PATH = path.join(DISPATCHER_DIR, 'signatures.jsonl');
 const FINALIZE_STATE_FILENAME = 'finalize-state.json';
+const CONFIG_PATH = path.join(DISPATCHER_DIR, 'config.json');
+const ADMIN_SOCKET_PATH = path.join(DISPATCHER_DIR, 'admin.sock');
 
-const MAX_AGENTS = 9;
-const JOB_TIMEOUT_MS = 60 * 60 * 1000; // 1 hour
-const MAX_RETRIES = 2;
-const SEEN_JOBS_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+// Limits, intervals and container resources (config.json + VAP_* env overrides).
+// Errors are only fatal for `start`; other commands run on the defaults.
+const { config, errors: configErrors, sources: configSources } = loadConfig(CONFIG_PATH);
 
 const docker = new Docker();
 const program = new Command();
 
+// Prometheus metrics — served on config.metrics.port by `start`
+const metrics = {
+  registry: new Registry(),
+};
+metrics.jobsStarted = metrics.registry.register(new Counter('vap_jobs_started_total', 'Job containers started', ['agent']));
+metrics.jobsCompleted = metrics.registry.register(new Counter('vap_jobs_completed_total', 'Jobs whose container exited cleanly', ['agent']));
+metrics.jobsFailed = metrics.registry.register(new Counter('vap_jobs_failed_total', 'Jobs that ended without a successful delivery', ['agent', 'cause']));
+metrics.jobsRetried = metrics.registry.register(new Counter('vap_jobs_retried_total', 'Job retries scheduled', ['agent', 'cause']));
+metrics.jobRuntime = metrics.registry.register(new Histogram('vap_job_runtime_seconds', 'Job container runtime', ['outcome']));
+metrics.queueWait = metrics.registry.register(new Histogram('vap_queue_wait_seconds', 'Time a job spent queued before its container started'));
+metrics.pollLatency = metrics.registry.register(new Histogram('vap_poll_duration_seconds', 'Time to fetch one agent\'s requested jobs', [], [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]));
+metrics.apiErrors = metrics.registry.register(new Counter('vap_api_errors_total', 'Platform API calls that failed', ['agent', 'operation']));
+metrics.jobsRejected = metrics.registry.register(new Counter('vap_jobs_rejected_total', 'Jobs an agent\'s acceptance policy turned down', ['agent', 'rule']));
+metrics.jobsDeclined = metrics.registry.register(new Counter('vap_jobs_declined_total', 'Signed declines submitted', ['agent', 'trigger']));
+metrics.buyerLimited = metrics.registry.register(new Counter('vap_buyer_limited_total', 'Jobs held in the queue by a per-buyer limit', ['limit']));
+metrics.signatures = metrics.registry.register(new Counter('vap_signing_requests_total', 'Signing requests from job containers', ['agent', 'kind', 'result']));
+metrics.sessionReauths = metrics.registry.register(new Counter('vap_session_reauths_total', 'Agent sessions re-authenticated after expiry or an error', ['agent', 'reason']));
+
 function ensureDirs() {
-  [VAP_DIR, DISPATCHER_DIR, AGENTS_DIR, QUEUE_DIR, JOBS_DIR].forEach(dir => {
+  [VAP_DIR, DISPATCHER_DIR, AGENTS_DIR, QUEUE_DIR, JOBS_DIR, DEAD_LETTER_DIR, LOGS_DIR].forEach(dir => {
     if (!fs.existsSync(dir)) {
       fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
     }
   });
 }
 
-function loadAgentKeys(agentId) {
+// Passphrase for encrypted keys.json files, once unlocked (see src/keystore.js).
+// rotate-key also asks for it with plaintext keys, to seal the archive, so
+// keysEncrypted records whether keys.json files are actually encrypted.
+let keysPassphrase = null;
+let keysEncrypted = false;
+const unlockedKeys = new Map(); // agentId -> decrypted keys
+
+// keys.json as stored (WIF sealed if the file is encrypted)
+function readAgentKeysFile(agentId) {
   // P2-4: Validate agentId format to prevent path traversal
   if (!/^agent-[1-9][0-9]*$/.test(agentId)) {
     throw new Error('Invalid agent ID format');
@@ -47,6 +98,67 @@ function loadAgentKeys(agentId) {
   return JSON.parse(fs.readFileSync(keysPath, 'utf8'));
 }
 
+function loadAgentKeys(agentId) {
+  const keys = readAgentKeysFile(agentId);
+  if (!isEncryptedKeys(keys)) return keys;
+  if (!unlockedKeys.has(agentId)) {
+    if (!keysPassphrase) throw new Error(`${agentId}: keys.json is encrypted and the keys are locked`);
+    unlockedKeys.set(agentId, decryptKeys(keys, keysPassphrase));
+  }
+  return { ...unlockedKeys.get(agentId) };
+}
+
+/**
+ * Write an agent's keys.json atomically. Stays encrypted if it was
+ * encrypted, unless `encrypt` says otherwise.
+ */
+function saveAgentKeys(agentId, keys, encrypt = isEncryptedKeys(readAgentKeysFile(agentId))) {
+  if (encrypt && !keysPassphrase) throw new Error(`${agentId}: no passphrase to encrypt keys.json with`);
+  writeJsonAtomic(path.join(AGENTS_DIR, agentId, 'keys.json'), encrypt ? encryptKeys(keys, keysPassphrase) : keys);
+  unlockedKeys.delete(agentId);
+}
+
+/**
+ * Get the keys passphrase (env, keyfile or prompt) if any agent's keys.json
+ * is encrypted, and check it against every encrypted one, so a file left
+ * under another passphrase fails here rather than mid-command.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.always] - Ask even if no file is encrypted yet (encrypting)
+ * @param {boolean} [options.confirm] - Prompt twice when no encrypted file can check it
+ * @param {string[]} [options.agentIds] - Check only these agents' files (default: all)
+ */
+async function unlockAgentKeys({ always = false, confirm = false, agentIds = listRegisteredAgents() } = {}) {
+  if (keysPassphrase) return;
+  const encrypted = agentIds.filter(id => isEncryptedKeys(readAgentKeysFile(id)));
+  if (encrypted.length === 0 && !always) return;
+  try {
+    keysPassphrase = await readPassphrase({ confirm: confirm && encrypted.length === 0 });
+  } catch (e) {
+    keysPassphrase = null;
+    console.error(`❌ No passphrase: ${e.message}`);
+    process.exit(1);
+  }
+  const locked = [];
+  for (const agentId of encrypted) {
+    try {
+      loadAgentKeys(agentId);
+    } catch (e) {
+      locked.push(`${agentId} (${e.message})`);
+    }
+  }
+  if (locked.length > 0) {
+    keysPassphrase = null;
+    console.error(`❌ Could not unlock agent keys: ${locked.join(', ')}`);
+    console.error('   Every encrypted keys.json must use the same passphrase.');
+    process.exit(1);
+  }
+  if (encrypted.length > 0) {
+    keysEncrypted = true;
+    console.log('🔓 Agent keys unlocked');
+  }
+}
+
 function listRegisteredAgents() {
   if (!fs.existsSync(AGENTS_DIR)) return [];
   return fs.readdirSync(AGENTS_DIR).filter(name => {
@@ -95,11 +207,152 @@ function saveSeenJobs(seen) {
   fs.writeFileSync(SEEN_JOBS_PATH, JSON.stringify(obj, null, 2));
 }
 
+// Job IDs become file and container names — only allow safe characters
+function isSafeJobId(jobId) {
+  return typeof jobId === 'string' && /^[A-Za-z0-9_-]{1,128}$/.test(jobId);
+}
+
+/**
+ * Load queued jobs from QUEUE_DIR (one <jobId>.json file per job), oldest first.
+ * Entries keep only the assigned agent's ID on disk — never its keys.
+ */
+function loadQueuedJobs() {
+  if (!fs.existsSync(QUEUE_DIR)) return [];
+  const entries = [];
+  for (const name of fs.readdirSync(QUEUE_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      const entry = JSON.parse(fs.readFileSync(path.join(QUEUE_DIR, name), 'utf8'));
+      if (isSafeJobId(entry?.id)) entries.push(entry);
+    } catch (e) {
+      console.warn(`[Queue] Skipping unreadable queue file ${name}: ${e.message}`);
+    }
+  }
+  return entries.sort((a, b) => (a.queuedAt || 0) - (b.queuedAt || 0));
+}
+
+/**
+ * Persist a queued job atomically (write temp file, then rename over the target).
+ */
+function persistQueuedJob(entry) {
+  const { assignedAgent, ...record } = entry;
+  writeJsonAtomic(path.join(QUEUE_DIR, `${entry.id}.json`), record);
+}
+
+function writeJsonAtomic(target, data) {
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), { mode: 0o600 });
+  fs.renameSync(tmp, target);
+}
+
+function removeQueuedJob(jobId) {
+  try {
+    fs.unlinkSync(path.join(QUEUE_DIR, `${jobId}.json`));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`[Queue] Could not remove ${jobId}:`, e.message);
+  }
+}
+
+// Add a job to the in-memory queue and persist it so a restart doesn't drop it
+function enqueueJob(state, job, agentInfo) {
+  const entry = { ...job, assignedAgent: agentInfo, assignedAgentId: agentInfo.id, queuedAt: Date.now() };
+  persistQueuedJob(entry);
+  state.queue.push(entry);
+}
+
+// Count queued jobs per assigned agent (agentId -> count)
+function countBacklogByAgent(queue) {
+  const counts = new Map();
+  for (const entry of queue) {
+    const agentId = entry.assignedAgentId || 'unassigned';
+    counts.set(agentId, (counts.get(agentId) || 0) + 1);
+  }
+  return counts;
+}
+
+// Take a job off the queue (memory + disk) once its container has started
+function dequeueJob(state, jobId) {
+  state.queue = state.queue.filter(j => j.id !== jobId);
+  state.limitHits.delete(jobId);
+  removeQueuedJob(jobId);
+}
+
+/**
+ * Rebuild the queue from QUEUE_DIR on startup. Jobs already marked seen were
+ * started before the restart and are dropped (unless re-queued by
+ * `jobs retry`, or parked mid-retry by a shutdown); agent IDs are resolved
+ * back to the ready agent records.
+ */
+function restoreQueue(state) {
+  const restored = [];
+  for (const entry of loadQueuedJobs()) {
+    if (state.seen.has(entry.id) && !entry.manualRetry && !entry.pendingRetry) {
+      removeQueuedJob(entry.id);
+      continue;
+    }
+    // A parked retry keeps its retry budget and attempt history
+    if (entry.pendingRetry) {
+      if (entry.retries) state.retries.set(entry.id, entry.retries);
+      if (entry.attempts) state.attempts.set(entry.id, entry.attempts);
+    }
+    const assignedAgent = state.agents.find(a => a.id === entry.assignedAgentId);
+    restored.push({ ...entry, assignedAgent });
+  }
+  return restored;
+}
+
+/**
+ * Pick up queue files written by other processes (e.g. `jobs retry`) while
+ * the dispatcher is running.
+ */
+function syncQueueFromDisk(state) {
+  for (const entry of loadQueuedJobs()) {
+    if (state.queue.some(j => j.id === entry.id) || state.active.has(entry.id)) continue;
+    const assignedAgent = state.agents.find(a => a.id === entry.assignedAgentId);
+    state.queue.push({ ...entry, assignedAgent });
+    console.log(`[Queue] Picked up ${entry.id} for ${entry.assignedAgentId}${entry.manualRetry ? ' (manual retry)' : ''}`);
+  }
+}
+
 /**
- * Prune seen-jobs entries older than SEEN_JOBS_TTL_MS (7 days).
+ * Dead-letter store: one <jobId>.json per job that exhausted its retries,
+ * with the last exit, a log tail and the attempt history. Operators inspect
+ * these with `jobs failed` and re-dispatch or drop them with `jobs retry` /
+ * `jobs discard`.
+ */
+function recordDeadLetter(entry) {
+  writeJsonAtomic(path.join(DEAD_LETTER_DIR, `${entry.jobId}.json`), entry);
+}
+
+function loadDeadLetters() {
+  if (!fs.existsSync(DEAD_LETTER_DIR)) return [];
+  const entries = [];
+  for (const name of fs.readdirSync(DEAD_LETTER_DIR)) {
+    if (!name.endsWith('.json')) continue;
+    try {
+      entries.push(JSON.parse(fs.readFileSync(path.join(DEAD_LETTER_DIR, name), 'utf8')));
+    } catch (e) {
+      console.warn(`⚠️  Skipping unreadable dead-letter file ${name}: ${e.message}`);
+    }
+  }
+  return entries.sort((a, b) => String(a.failedAt).localeCompare(String(b.failedAt)));
+}
+
+function loadDeadLetter(jobId) {
+  const p = path.join(DEAD_LETTER_DIR, `${jobId}.json`);
+  if (!fs.existsSync(p)) return null;
+  return JSON.parse(fs.readFileSync(p, 'utf8'));
+}
+
+function removeDeadLetter(jobId) {
+  fs.rmSync(path.join(DEAD_LETTER_DIR, `${jobId}.json`), { force: true });
+}
+
+/**
+ * Prune seen-jobs entries older than config.seenJobsTtlMs (default 7 days).
  */
 function pruneSeenJobs(seen) {
-  const cutoff = Date.now() - SEEN_JOBS_TTL_MS;
+  const cutoff = Date.now() - config.seenJobsTtlMs;
   let pruned = 0;
   for (const [jobId, ts] of seen) {
     if (ts < cutoff) {
@@ -166,6 +419,40 @@ function buildFullProfile(options) {
   return profile;
 }
 
+/**
+ * Sign an identity update offline with the agent's current key and broadcast
+ * it through the platform: fetch the identity and UTXOs, build the tx,
+ * record it in the signature audit log, broadcast. Used by finalize and
+ * rotate-key.
+ *
+ * @param {Object} agent - Logged-in VAPAgent for the identity
+ * @param {Object} agentInfo - { id, wif }
+ * @param {Object} changes - What buildIdentityUpdateTx changes ({ vdxfAdditions } or { primaryaddresses })
+ * @returns {Promise<{ txid: string } | { unfunded: true }>} unfunded: no UTXO to pay the fee, nothing signed
+ */
+async function signAndBroadcastIdentityUpdate(agent, agentInfo, changes) {
+  const { buildIdentityUpdateTx } = require('../vap-agent-sdk/dist/identity/update.js');
+  const identityRawResp = await agent.client.getIdentityRaw();
+  const identityData = identityRawResp.data || identityRawResp;
+  const utxoResp = await agent.client.getUtxos();
+  const utxos = utxoResp.utxos || utxoResp;
+  console.log(`   ↳ Identity data retrieved, ${utxos.length} UTXO(s) available`);
+  if (!utxos.length) return { unfunded: true };
+
+  const rawhex = buildIdentityUpdateTx({
+    wif: agentInfo.wif,
+    identityData,
+    utxos,
+    ...changes,
+    network: 'verustest',
+  });
+  await auditSignature(agentInfo.id, 'identity-update', null, rawhex);
+  console.log(`   ↳ Transaction signed (${rawhex.length / 2} bytes)`);
+
+  const txResult = await agent.client.broadcast(rawhex);
+  return { txid: txResult.txid || txResult };
+}
+
 function createFinalizeHooks(agentId, identityName, profile, services = []) {
   const agentDir = path.join(AGENTS_DIR, agentId);
   const keys = loadAgentKeys(agentId) || {};
@@ -185,7 +472,6 @@ function createFinalizeHooks(agentId, identityName, profile, services = []) {
         buildUpdateIdentityCommand,
         getCanonicalVdxfDefinitionCount,
       } = require('../vap-agent-sdk/dist/index.js');
-      const { buildIdentityUpdateTx } = require('../vap-agent-sdk/dist/identity/update.js');
 
       const fields = profile
         ? {
@@ -238,38 +524,19 @@ function createFinalizeHooks(agentId, identityName, profile, services = []) {
         identityName: identityName,
         iAddress: keys.iAddress,
       });
-      await agent.authenticate();
+      await loginAgent(agent, { id: agentId, ...keys, identity: identityName });
 
       // Build VDXF contentmultimap from profile
       const vdxfAdditions = buildAgentContentMultimap(profile, services);
 
-      // Get current identity data and UTXOs from platform
-      const identityRawResp = await agent.client.getIdentityRaw();
-      const identityData = identityRawResp.data || identityRawResp;
-      const utxoResp = await agent.client.getUtxos();
-      const utxos = utxoResp.utxos || utxoResp;
-      console.log(`   ↳ Identity data retrieved, ${utxos.length} UTXO(s) available`);
-
-      if (!utxos.length) {
+      const result = await signAndBroadcastIdentityUpdate(agent, { id: agentId, ...keys }, { vdxfAdditions });
+      if (result.unfunded) {
         console.log('   ⚠️  No UTXOs available — identity needs funds for tx fee');
         console.log(`   ↳ Send at least 0.0001 VRSCTEST to ${keys.address}`);
         console.log(`   ↳ VDXF plan saved to: ${planPath}`);
         return;
       }
-
-      // Build and sign the transaction offline
-      const rawhex = buildIdentityUpdateTx({
-        wif: keys.wif,
-        identityData,
-        utxos,
-        vdxfAdditions,
-        network: 'verustest',
-      });
-      console.log(`   ↳ Transaction signed (${rawhex.length / 2} bytes)`);
-
-      // Broadcast via platform API
-      const txResult = await agent.client.broadcast(rawhex);
-      console.log(`   ✅ Identity updated on-chain: ${txResult.txid || txResult}`);
+      console.log(`   ✅ Identity updated on-chain: ${result.txid}`);
     },
     verifyVdxf: async () => {
       console.log('   ↳ Verification deferred to index stage');
@@ -280,6 +547,48 @@ function createFinalizeHooks(agentId, identityName, profile, services = []) {
   };
 }
 
+// `status` output from a running dispatcher's GET /state
+function printLiveStatus(live) {
+  console.log('\n╔══════════════════════════════════════════╗');
+  console.log('║     Dispatcher Status                    ║');
+  console.log('╚══════════════════════════════════════════╝\n');
+  console.log(`Dispatcher: running (pid ${live.pid}, since ${live.startedAt})${live.acceptingJobs ? '' : ' — DRAINING'}`);
+  console.log(`Intake: ${live.intake}${live.eventsConnected ? '' : ' (Docker events disconnected)'}`);
+  console.log(`Active jobs: ${live.active.length}/${live.maxAgents}`);
+  console.log(`Queue: ${live.queue.length} pending`);
+  console.log(`Available: ${live.available.length}, Paused: ${live.paused.length}\n`);
+
+  console.log('Agents:');
+  live.agents.forEach(a => {
+    const extras = [];
+    if (a.queued > 0) extras.push(`${a.queued} queued`);
+    if (live.intake === 'push' && !a.subscribed) extras.push('not subscribed');
+    console.log(`  ${a.id}: ${a.status}${extras.length ? ` (${extras.join(', ')})` : ''}`);
+  });
+  console.log('');
+
+  if (live.active.length > 0) {
+    console.log('Active jobs:');
+    live.active.forEach(j => {
+      const flags = [j.attempt > 1 ? `attempt ${j.attempt}` : null, j.recovered ? 're-adopted' : null, j.cancelling ? 'cancelling' : null, j.stopping ? 'stopping' : null].filter(Boolean);
+      console.log(`  ${j.jobId}: ${j.agentId}, ${Math.round(j.runningSec / 60)} min${flags.length ? ` [${flags.join(', ')}]` : ''}`);
+    });
+    console.log('');
+  }
+
+  if (live.pendingRetries.length > 0) {
+    console.log('Pending retries:');
+    live.pendingRetries.forEach(r => console.log(`  ${r.jobId}: ${r.agentId}, ${r.cause}, at ${r.retryAt}`));
+    console.log('');
+  }
+
+  if (live.rejected?.length > 0) {
+    console.log('Turned down by policy:');
+    live.rejected.forEach(r => console.log(`  ${r.jobId}: ${r.agentId}, ${r.reason}`));
+    console.log('');
+  }
+}
+
 function getActiveJobs() {
   // Find running containers named vap-job-*
   return docker.listContainers().then(containers => {
@@ -294,15 +603,23 @@ program
   .description('Ephemeral job container orchestrator for VAP')
   .version('0.2.0');
 
+// Commands that sign with the agents' keys unlock encrypted key files first
+const KEY_COMMANDS = ['register', 'finalize', 'set-authorities', 'check-authorities', 'start', 'rotate-key'];
+program.hook('preAction', async (_program, actionCommand) => {
+  if (KEY_COMMANDS.includes(actionCommand.name())) await unlockAgentKeys();
+});
+
 // Init command — create N agent identities
 program
   .command('init')
   .description('Initialize dispatcher with N agent identities')
   .option('-n, --agents <number>', 'Number of agents to create', '9')
   .option('--soul <file>', 'SOUL.md template to use for all agents')
+  .option('--encrypt', 'Encrypt the new keys.json files with a passphrase')
   .action(async (options) => {
     ensureDirs();
     const count = parseInt(options.agents);
+    if (options.encrypt) await unlockAgentKeys({ always: true, confirm: true });
     
     console.log('╔══════════════════════════════════════════╗');
     console.log('║     VAP Dispatcher Init                  ║');
@@ -335,11 +652,7 @@ program
       const { generateKeypair } = require('./keygen.js');
       const keys = generateKeypair('verustest');
       
-      fs.writeFileSync(
-        path.join(agentDir, 'keys.json'),
-        JSON.stringify({ ...keys, network: 'verustest' }, null, 2)
-      );
-      fs.chmodSync(path.join(agentDir, 'keys.json'), 0o600);
+      saveAgentKeys(agentId, { ...keys, network: 'verustest' }, !!options.encrypt);
       
       // Write SOUL template
       fs.writeFileSync(
@@ -347,7 +660,7 @@ program
         soulTemplate.replace(/AGENT_NAME/g, agentId)
       );
       
-      console.log(`  ${agentId}: created (${keys.address})`);
+      console.log(`  ${agentId}: created (${keys.address})${options.encrypt ? ' 🔒' : ''}`);
     }
     
     console.log(`\n✅ ${count} agents initialized`);
@@ -409,14 +722,12 @@ program
 
     try {
       const result = await agent.register(identityName, 'verustest');
+      await auditSdkSignature(agentId, 'register', null, { name: identityName, identity: result.identity, iAddress: result.iAddress, txid: result.txid });
 
       // Save identity to keys file
       keys.identity = result.identity;
       keys.iAddress = result.iAddress;
-      fs.writeFileSync(
-        path.join(AGENTS_DIR, agentId, 'keys.json'),
-        JSON.stringify(keys, null, 2)
-      );
+      saveAgentKeys(agentId, keys);
 
       console.log(`\n✅ ${agentId} registered!`);
       console.log(`   Identity: ${result.identity}`);
@@ -575,7 +886,7 @@ program
       iAddress: keys.iAddress,
     });
 
-    await agent.authenticate();
+    await loginAgent(agent, { id: agentId, ...keys });
 
     // Show current authorities first
     console.log(`\n→ Checking current authorities for ${agentId} (${keys.identity})...`);
@@ -589,6 +900,9 @@ program
     console.log(`  New recover: ${options.recover}`);
 
     const txid = await agent.setRevokeRecoverAuthorities(options.revoke, options.recover);
+    if (txid !== 'already-set') {
+      await auditSdkSignature(agentId, 'set-authorities', null, { revoke: options.revoke, recover: options.recover, txid });
+    }
     if (txid === 'already-set') {
       console.log(`\n✅ Authorities are already set to these values.`);
     } else {
@@ -627,7 +941,7 @@ program
       });
 
       try {
-        await agent.authenticate();
+        await loginAgent(agent, { id: agentId, ...keys });
         const auth = await agent.checkAuthorities();
         const status = (auth.selfRevoke || auth.selfRecover) ? '⚠️' : '✅';
         if (auth.selfRevoke || auth.selfRecover) warnings++;
@@ -647,12 +961,173 @@ program
     }
   });
 
+// Rotate an agent's key: new keypair, on-chain primary address update, then swap keys.json.
+// The new key is saved (encrypted) in keys.rotating.json before anything is
+// broadcast, so an interrupted rotation resumes with the same key.
+program
+  .command('rotate-key <agentId>')
+  .description('Move an agent identity to a new primary address and swap its keys.json')
+  .option('--timeout <minutes>', 'How long to wait for the identity update to confirm', '30')
+  .action(async (agentId, options) => {
+    ensureDirs();
+
+    // A running dispatcher keeps signing with the key it loaded at start
+    try {
+      await requestAdmin(ADMIN_SOCKET_PATH, 'GET', '/state');
+      console.error('❌ The dispatcher is running with the current key in memory. Stop it first, then rotate.');
+      process.exit(1);
+    } catch (e) {
+      if (e.statusCode === 403) {
+        console.error('❌ The dispatcher is running with the current key in memory. Stop it first, then rotate.');
+        process.exit(1);
+      }
+      if (e.code !== 'ENOENT' && e.code !== 'ECONNREFUSED') {
+        console.error(`❌ Could not check for a running dispatcher: ${e.message}`);
+        process.exit(1);
+      }
+    }
+
+    const oldKeys = loadAgentKeys(agentId);
+    if (!oldKeys) {
+      console.error(`❌ Agent ${agentId} not found. Run: vap-dispatcher init`);
+      process.exit(1);
+    }
+    if (!oldKeys.identity) {
+      console.error(`❌ Agent ${agentId} has no platform identity. Run register first.`);
+      process.exit(1);
+    }
+    // The archived old key is always encrypted, even if keys.json is not
+    await unlockAgentKeys({ always: true, confirm: true });
+
+    const agentDir = path.join(AGENTS_DIR, agentId);
+    const pendingPath = path.join(agentDir, 'keys.rotating.json');
+    let newKeys;
+    const resuming = fs.existsSync(pendingPath);
+    if (resuming) {
+      const pending = JSON.parse(fs.readFileSync(pendingPath, 'utf8'));
+      if (pending.rotation?.fromAddress !== oldKeys.address) {
+        console.error(`❌ ${pendingPath} is from a rotation away from ${pending.rotation?.fromAddress}, not ${oldKeys.address}. Move it aside to start over.`);
+        process.exit(1);
+      }
+      const { rotation, ...sealed } = pending;
+      try {
+        newKeys = decryptKeys(sealed, keysPassphrase);
+      } catch (e) {
+        console.error(`❌ Could not open ${pendingPath}: ${e.message}`);
+        process.exit(1);
+      }
+      console.log(`\n→ Resuming rotation of ${agentId} to ${newKeys.address} (started ${rotation.startedAt})`);
+    } else {
+      const { generateKeypair } = require('./keygen.js');
+      newKeys = { ...generateKeypair('verustest'), network: 'verustest' };
+      writeJsonAtomic(pendingPath, {
+        ...encryptKeys(newKeys, keysPassphrase),
+        rotation: { fromAddress: oldKeys.address, startedAt: new Date().toISOString() },
+      });
+      console.log(`\n→ Rotating ${agentId} (${oldKeys.identity})`);
+      console.log(`   New address: ${newKeys.address} (saved to ${pendingPath})`);
+    }
+
+    const { VAPAgent } = require('../vap-agent-sdk/dist/index.js');
+    const connect = (keys) => new VAPAgent({
+      vapUrl: process.env.VAP_API_URL || 'https://api.autobb.app',
+      wif: keys.wif,
+      identityName: oldKeys.identity,
+      iAddress: oldKeys.iAddress,
+    });
+    let agent = connect(oldKeys);
+    const primaryAddressesOnChain = async () => {
+      const resp = await agent.client.getIdentityRaw();
+      const data = resp.data || resp;
+      return (data.identity || data).primaryaddresses || [];
+    };
+
+    try {
+      // A resumed rotation may have confirmed before the last run died, and
+      // then the old address can no longer log in: look before logging in,
+      // and fall back to the new key if the old one is refused
+      let current = resuming ? await primaryAddressesOnChain().catch(() => null) : null;
+      if (!current?.includes(newKeys.address)) {
+        try {
+          await loginAgent(agent, { id: agentId, ...oldKeys });
+        } catch (e) {
+          if (!resuming) throw e;
+          console.log(`   ↳ The old key could not log in (${e.message}) — trying the new key`);
+          agent.stop();
+          agent = connect(newKeys);
+          await loginAgent(agent, { id: agentId, ...oldKeys, ...newKeys });
+        }
+        current = await primaryAddressesOnChain();
+      }
+      if (current.includes(newKeys.address)) {
+        console.log('   ↳ Identity already lists the new address — skipping the update');
+      } else {
+        // Replace the old address; any other primary addresses stay
+        const primaryaddresses = current.length
+          ? current.map(a => (a === oldKeys.address ? newKeys.address : a))
+          : [newKeys.address];
+        const result = await signAndBroadcastIdentityUpdate(agent, { id: agentId, ...oldKeys }, { primaryaddresses });
+        if (result.unfunded) {
+          console.error('❌ No UTXOs available — the identity needs funds for the tx fee');
+          console.error(`   Send at least 0.0001 VRSCTEST to ${oldKeys.address}, then rerun rotate-key`);
+          process.exit(1);
+        }
+        console.log(`   ↳ Broadcast with the old key: ${result.txid}`);
+      }
+
+      // Confirmed once the identity on chain lists the new address
+      const timeoutMs = (parseInt(options.timeout, 10) || 30) * 60 * 1000;
+      const deadline = Date.now() + timeoutMs;
+      console.log(`   ↳ Waiting for confirmation (up to ${Math.round(timeoutMs / 60000)} min)...`);
+      while (!(await primaryAddressesOnChain()).includes(newKeys.address)) {
+        if (Date.now() >= deadline) {
+          console.error(`❌ Not confirmed after ${Math.round(timeoutMs / 60000)} min. keys.json is unchanged.`);
+          console.error(`   Rerun rotate-key ${agentId} to keep waiting; the new key stays in ${pendingPath}`);
+          process.exit(1);
+        }
+        await new Promise(r => setTimeout(r, 30000));
+      }
+      console.log('   ✅ Identity update confirmed');
+    } catch (e) {
+      console.error(`❌ Rotation failed: ${e.message}`);
+      console.error(`   keys.json is unchanged; rerun rotate-key ${agentId} to resume with the same new key`);
+      process.exit(1);
+    } finally {
+      agent.stop();
+    }
+
+    // Archive the old key (always encrypted), then swap keys.json in one rename
+    const archiveDir = path.join(agentDir, 'keys-archive');
+    fs.mkdirSync(archiveDir, { recursive: true, mode: 0o700 });
+    const archivePath = path.join(archiveDir, `keys-${new Date().toISOString().replace(/[:.]/g, '-')}-${oldKeys.address}.json`);
+    writeJsonAtomic(archivePath, { ...encryptKeys(oldKeys, keysPassphrase), retiredAt: new Date().toISOString() });
+
+    const { wif, address, ...keep } = oldKeys;
+    const rotated = { ...keep, ...newKeys };
+    if (Array.isArray(oldKeys.primaryaddresses)) {
+      rotated.primaryaddresses = oldKeys.primaryaddresses.map(a => (a === oldKeys.address ? newKeys.address : a));
+    }
+    saveAgentKeys(agentId, rotated);
+    fs.rmSync(pendingPath, { force: true });
+
+    console.log(`\n✅ ${agentId} rotated to ${newKeys.address}`);
+    console.log(`   Old key archived (encrypted): ${archivePath}`);
+  });
+
 // Start command — run the dispatcher (listen for jobs)
 program
   .command('start')
   .description('Start the dispatcher (listens for jobs, manages pool)')
   .action(async () => {
     ensureDirs();
+
+    if (config.logs.format === 'json') installJsonConsole();
+
+    if (configErrors.length > 0) {
+      console.error(`❌ Invalid dispatcher config (${CONFIG_PATH}):`);
+      configErrors.forEach(err => console.error(`   - ${err}`));
+      process.exit(1);
+    }
     
     const agents = listRegisteredAgents();
     if (agents.length === 0) {
@@ -666,8 +1141,8 @@ program
     console.log('║     with Privacy Attestation             ║');
     console.log('╚══════════════════════════════════════════╝\n');
     console.log(`Registered agents: ${agents.length}`);
-    console.log(`Max concurrent: ${MAX_AGENTS}`);
-    console.log(`Job timeout: ${JOB_TIMEOUT_MS / 60000} min`);
+    console.log(`Config: ${configSources.join(' + ')}`);
+    describeConfig(config).forEach(line => console.log(line));
     console.log(`Keep containers: ${process.env.VAP_KEEP_CONTAINERS === '1' ? 'ON (debug)' : 'OFF'}`);
     console.log('Privacy: Deletion attestations\n');
     
@@ -686,6 +1161,19 @@ program
         continue;
       }
 
+      const profileErrors = validateContainerProfile(getContainerProfile({ id: agentId }));
+      if (profileErrors.length > 0) {
+        console.log(`⚠️  ${agentId}: invalid container profile in agent-config.json — ${profileErrors.join('; ')}`);
+        continue;
+      }
+
+      const policy = loadAgentConfig(agentId).policy;
+      const policyErrors = policy ? validatePolicy(policy) : [];
+      if (policyErrors.length > 0) {
+        console.log(`⚠️  ${agentId}: invalid policy in agent-config.json — ${policyErrors.join('; ')}`);
+        continue;
+      }
+
       readyAgents.push({ id: agentId, ...keys });
     }
     
@@ -695,48 +1183,129 @@ program
     }
     
     console.log(`Ready agents: ${readyAgents.length}\n`);
+    checkDeclineConfig(readyAgents);
     
     // Start job polling loop
     console.log('→ Starting job listener...\n');
     
     const state = {
       agents: [...readyAgents], // all registered agents (never modified)
-      active: new Map(), // jobId -> { agentId, container, startedAt, retries }
+      active: new Map(), // jobId -> { agentId, container, startedAt, agentInfo, exit? }
       available: [...readyAgents], // pool of idle agents
-      queue: [], // pending jobs
+      queue: [], // pending jobs (mirrored to QUEUE_DIR)
       seen: loadSeenJobs(), // completed/claimed jobs with timestamps (Map<jobId, timestamp>)
-      retries: new Map(), // jobId -> retry count
+      retries: new Map(), // jobId -> { total, byCause: { [cause]: count } }
+      pendingRetries: new Map(), // jobId -> { agentInfo, cause, retryAt, timer, job, active } (waiting out backoff)
+      attempts: new Map(), // jobId -> [{ attempt, agentId, startedAt, endedAt, exitCode, oomKilled, cause }]
       agentSessions: new Map(), // agentId -> { agent: VAPAgent, authedAt: number }
+      jobSubscriptions: new Map(), // agentId -> { agent: VAPAgent, connectedAt: number } (push intake)
+      polling: new Map(), // agentId -> rerun requested while a poll was in flight
+      draining: false, // drainQueue re-entrancy guard
+      eventsConnected: false, // Docker events stream is live
+      paused: new Set(), // agentIds held out of the pool via the admin API
+      acceptingJobs: true, // false after an admin drain: no new jobs start
+      authedAgents: new Set(), // agentIds that have had a session (re-auth metric)
+      shuttingDown: false, // SIGTERM/SIGINT received — draining before exit
+      timers: {}, // setInterval handles, cleared on shutdown
+      rejected: new Map(), // jobId -> { agentId, rule, reason, at } (turned down by policy, still requested)
+      buyerJobs: { day: null, jobs: new Map() }, // jobs taken today: "agentId|buyer" -> Set<jobId>
+      startFailures: new Map(), // jobId -> failed container starts (first attempt only)
+      buyerStarts: new Map(), // buyer -> start times in the last hour (buyerLimits.maxPerHour)
+      limitHits: new Map(), // jobId -> Set of buyer limits it has waited on (recorded once each)
+      startedAt: Date.now(),
     };
+
+    // Admin API — also refuses to start if another dispatcher owns the socket
+    try {
+      state.adminServer = await startAdminServer({
+        enabled: config.admin.enabled,
+        socketPath: ADMIN_SOCKET_PATH,
+        port: config.admin.port,
+        token: config.admin.token,
+        getState: () => buildAdminSnapshot(state),
+        actions: createAdminActions(state),
+      });
+      process.on('exit', () => state.adminServer.close());
+      console.log(config.admin.enabled
+        ? `Admin API: ${ADMIN_SOCKET_PATH}${config.admin.port ? ` + http://127.0.0.1:${config.admin.port}` : ''}\n`
+        : `Admin API: disabled (${ADMIN_SOCKET_PATH} refuses requests)\n`);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+
+    metrics.registry.register(new Gauge('vap_active_jobs', 'Job containers running', () => state.active.size));
+    metrics.registry.register(new Gauge('vap_queued_jobs', 'Jobs waiting for their agent', () => state.queue.length));
+    metrics.registry.register(new Gauge('vap_available_agents', 'Idle agents in the pool', () => state.available.length));
+    metrics.registry.register(new Gauge('vap_paused_agents', 'Agents paused via the admin API', () => state.paused.size));
+    metrics.registry.register(new Gauge('vap_pending_retries', 'Jobs waiting out a retry backoff', () => state.pendingRetries.size));
+    if (config.metrics.port) {
+      try {
+        await startMetricsServer(metrics.registry, config.metrics);
+        console.log(`Metrics: http://${config.metrics.host}:${config.metrics.port}/metrics\n`);
+      } catch (e) {
+        console.error(`❌ Could not start metrics server: ${e.message}`);
+        process.exit(1);
+      }
+    }
+
+    process.on('SIGTERM', () => shutdown(state, 'SIGTERM'));
+    process.on('SIGINT', () => shutdown(state, 'SIGINT'));
+
+    // Re-adopt job containers that outlived a previous dispatcher process
+    const recovered = await recoverActiveJobs(state);
+    if (recovered > 0) {
+      console.log(`↻ Re-adopted ${recovered} running job container(s)\n`);
+    }
+
+    state.queue = restoreQueue(state);
+    if (state.queue.length > 0) {
+      console.log(`↻ Restored ${state.queue.length} queued job(s) from ${QUEUE_DIR}\n`);
+    }
+    seedBuyerCounts(state);
     
-    // Poll for jobs
-    setInterval(async () => {
+    // Job intake: push subscriptions react immediately; polling reconciles
+    // anything a socket missed (or is the only intake when intake=poll)
+    const pushIntake = config.intake === 'push';
+    if (pushIntake) {
+      await subscribeAllToJobs(state);
+    }
+    state.timers.poll = setInterval(async () => {
       await pollForJobs(state);
-    }, 30000); // Every 30s
+      if (pushIntake && !state.shuttingDown) await subscribeAllToJobs(state);
+    }, pushIntake ? config.reconcileIntervalMs : config.pollIntervalMs);
     
-    // Check for completed jobs
-    setInterval(async () => {
+    // React to job container exits as Docker reports them
+    await watchContainerEvents(state);
+
+    // Queue upkeep; containers are only inspected here while the events stream is down
+    state.timers.cleanup = setInterval(async () => {
       await cleanupCompletedJobs(state);
-    }, 10000); // Every 10s
+    }, config.cleanupIntervalMs);
+
+    // Slow safety net for exits the events stream missed while connected
+    state.timers.containerCheck = setInterval(async () => {
+      await reconcileContainers(state);
+    }, config.containerCheckIntervalMs);
     
-    // Check for pending reviews every 60s
-    setInterval(async () => {
+    // Check for pending reviews
+    state.timers.reviews = setInterval(async () => {
       await checkPendingReviews(state);
-    }, 60000);
+    }, config.reviewIntervalMs);
 
-    // Status report every minute + prune old seen-jobs
-    setInterval(() => {
-      console.log(`[${new Date().toISOString()}] Active: ${state.active.size}/${MAX_AGENTS}, Queue: ${state.queue.length}, Available: ${state.available.length}, Seen: ${state.seen.size}`);
+    // Status report + prune old seen-jobs
+    state.timers.status = setInterval(() => {
+      console.log(`[${new Date().toISOString()}] Active: ${state.active.size}/${config.maxAgents}, Queue: ${state.queue.length}, Available: ${state.available.length}, Paused: ${state.paused.size}, Seen: ${state.seen.size}${state.acceptingJobs ? '' : ' (draining)'}`);
       pruneSeenJobs(state.seen);
-    }, 60000);
+      const prunedLogs = pruneJobLogs(LOGS_DIR, config.logs.retentionMs);
+      if (prunedLogs > 0) console.log(`[Logs] Pruned ${prunedLogs} job log file(s) past retention`);
+    }, config.statusIntervalMs);
 
     // Initial poll
     await pollForJobs(state);
     
-    console.log('\n✅ Dispatcher running. Press Ctrl+C to stop.\n');
-    
-    // Keep alive
-    await new Promise(() => {});
+    console.log('\n✅ Dispatcher running. Press Ctrl+C to drain and stop.\n');
+    // Timers, sockets and the admin server keep the process alive until shutdown()
   });
 
 // Status command
@@ -745,20 +1314,46 @@ program
   .description('Show dispatcher status')
   .action(async () => {
     ensureDirs();
+
+    // Prefer the running dispatcher's own view; fall back to Docker + disk
+    let live = null;
+    let dispatcherLine = 'not running (Docker view)';
+    try {
+      live = await requestAdmin(ADMIN_SOCKET_PATH, 'GET', '/state');
+    } catch (e) {
+      if (e.statusCode === 403) {
+        // admin.enabled is false: the socket answers, but only with 403
+        dispatcherLine = 'running, admin API disabled (Docker view)';
+      } else if (e.code !== 'ENOENT' && e.code !== 'ECONNREFUSED') {
+        console.warn(`⚠️  Admin API unavailable (${e.message}) — showing Docker view`);
+        dispatcherLine = 'unknown (Docker view)';
+      }
+    }
+    if (live) {
+      printLiveStatus(live);
+      return;
+    }
     
     const agents = listRegisteredAgents();
     const activeJobs = await getActiveJobs();
-    const queueFiles = fs.existsSync(QUEUE_DIR) ? fs.readdirSync(QUEUE_DIR) : [];
+    const queueFiles = loadQueuedJobs();
     
     console.log('\n╔══════════════════════════════════════════╗');
     console.log('║     Dispatcher Status                    ║');
     console.log('╚══════════════════════════════════════════╝\n');
+    console.log(`Dispatcher: ${dispatcherLine}\n`);
     
     const finalized = agents.filter(a => isFinalizedReady(a)).length;
     console.log(`Agents: ${agents.length} registered`);
     console.log(`Finalized ready: ${finalized}/${agents.length}`);
-    console.log(`Active jobs: ${activeJobs.length}/${MAX_AGENTS}`);
-    console.log(`Queue: ${queueFiles.length} pending\n`);
+    console.log(`Active jobs: ${activeJobs.length}/${config.maxAgents}`);
+    console.log(`Queue: ${queueFiles.length} pending${queueFiles.length > 0 ? '' : '\n'}`);
+    if (queueFiles.length > 0) {
+      for (const [agentId, count] of countBacklogByAgent(queueFiles)) {
+        console.log(`  ${agentId}: ${count} waiting`);
+      }
+      console.log('');
+    }
     
     if (activeJobs.length > 0) {
       console.log('Active containers:');
@@ -820,103 +1415,1156 @@ program
     console.log('  ✅ Creation attestation (signed proof of start)');
     console.log('  ✅ Deletion attestation (signed proof of destruction)');
     console.log('  ✅ Isolated job data (per-container volumes)');
-    console.log('  ✅ Resource limits (2GB RAM, 1 CPU)');
-    console.log('  ✅ Timeout protection (auto-kill after 1 hour)');
+    console.log(`  ✅ Resource limits (${config.container.memoryMb} MB RAM, ${config.container.cpus} CPU)`);
+    console.log(`  ✅ Timeout protection (auto-kill after ${config.jobTimeoutMs / 60000} min)`);
     console.log('');
   });
 
-// Get or create a cached authenticated VAPAgent session.
-// Sessions are reused for 10 minutes before re-authenticating.
-const SESSION_TTL_MS = 10 * 60 * 1000; // 10 min
-
-async function getAgentSession(state, agentInfo) {
-  const { VAPAgent } = require('../vap-agent-sdk/dist/index.js');
-  const baseUrl = process.env.VAP_API_URL || 'https://api.autobb.app';
-
-  const cached = state.agentSessions.get(agentInfo.id);
-  if (cached && (Date.now() - cached.authedAt) < SESSION_TTL_MS) {
-    return cached.agent;
-  }
-
-  const agent = new VAPAgent({
-    vapUrl: baseUrl,
-    wif: agentInfo.wif,
-    identityName: agentInfo.identity,
-    iAddress: agentInfo.iAddress,
-  });
-  await agent.authenticate();
-  state.agentSessions.set(agentInfo.id, { agent, authedAt: Date.now() });
-  return agent;
-}
+// Logs command — one job's output, live from its container or from retained logs
+program
+  .command('logs <jobId>')
+  .description('Show a job\'s log (running container, or retained logs once it has finished)')
+  .option('-f, --follow', 'Keep streaming while the container runs')
+  .option('--since <time>', 'Only lines after an ISO time or a duration ago (30s, 10m, 2h, 1d)')
+  .option('--grep <pattern>', 'Only lines matching a regular expression (case-insensitive)')
+  .option('--tag <tags>', 'Only lines with these tags, comma-separated (e.g. CHAT,MCP,RETRY)')
+  .action(async (jobIdArg, options) => {
+    ensureDirs();
 
-// Poll for new jobs
-async function pollForJobs(state) {
-  for (const agentInfo of [...state.available]) {
+    let filter;
     try {
-      console.log(`[Poll] Checking ${agentInfo.id} (${agentInfo.identity || agentInfo.address})`);
-
-      const agent = await getAgentSession(state, agentInfo);
+      filter = buildLogFilter(options);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
 
-      // Fetch pending jobs via SDK client
-      const result = await agent.client.getMyJobs({ status: 'requested', role: 'seller' });
-      const jobs = Array.isArray(result?.data) ? result.data : [];
-      console.log(`[Poll] ${agentInfo.id} jobs fetched: ${jobs.length}`);
+    const { jobId, container } = await resolveLogTarget(jobIdArg);
 
-      for (const job of jobs) {
-        if (!job?.id) {
-          console.warn(`[Poll] ${agentInfo.id} skipping malformed job:`, JSON.stringify(job).slice(0, 160));
-          continue;
-        }
+    if (!container) {
+      if (options.follow) console.error(`(job ${jobId} is not running — showing retained log)`);
+      readJobLog(LOGS_DIR, jobId).filter(filter).forEach(printLogRecord);
+      return;
+    }
 
-        // Check if already handling or already processed
-        if (state.seen.has(job.id)) {
-          console.log(`[Poll] ${agentInfo.id} skipping ${job.id} (seen)`);
-          continue;
-        }
-        if (state.active.has(job.id)) {
-          console.log(`[Poll] ${agentInfo.id} skipping ${job.id} (already active)`);
-          continue;
-        }
-        if (state.queue.some(j => j.id === job.id)) {
-          console.log(`[Poll] ${agentInfo.id} skipping ${job.id} (already queued)`);
-          continue;
-        }
+    const output = await container.logs({
+      follow: !!options.follow,
+      stdout: true,
+      stderr: true,
+      timestamps: true,
+      since: filter.sinceMs ? Math.floor(filter.sinceMs / 1000) : 0,
+    });
+    // Without follow, dockerode hands back the whole multiplexed log as a Buffer
+    const logStream = Buffer.isBuffer(output) ? new PassThrough().end(output) : output;
+
+    await new Promise((resolve) => {
+      demuxLines(logStream, (stream, raw) => {
+        const space = raw.indexOf(' ');
+        const record = { ts: new Date(raw.slice(0, space)).toISOString(), stream, line: raw.slice(space + 1) };
+        if (filter(record)) printLogRecord(record);
+      });
+      logStream.on('end', resolve);
+      logStream.on('error', resolve);
+    });
+  });
 
-        console.log(`📥 New job: ${job.id} (${job.amount} ${job.currency})`);
+// Parse --since: ISO time, or a duration ago like 30s / 10m / 2h / 1d
+function parseSince(value) {
+  const units = { s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  const relative = String(value).match(/^(\d+)([smhd])$/);
+  if (relative) return Date.now() - parseInt(relative[1], 10) * units[relative[2]];
+  const absolute = Date.parse(value);
+  if (Number.isNaN(absolute)) throw new Error(`--since: expected an ISO time or a duration like 10m, got "${value}"`);
+  return absolute;
+}
 
-        if (state.active.size >= MAX_AGENTS) {
-          console.log(`   → Queueing (max capacity)`);
-          state.queue.push({ ...job, assignedAgent: agentInfo });
-        } else {
-          console.log(`   → Starting container with ${agentInfo.id}`);
-          await startJobContainer(state, job, agentInfo);
-        }
-      }
-    } catch (e) {
-      // Invalidate session on auth/request errors so next poll re-authenticates
-      state.agentSessions.delete(agentInfo.id);
-      console.error(`[Poll] Error for ${agentInfo.id}:`, e.message);
-    }
-  }
-  
-  // Process queue if slots available (D3: re-queue on failure instead of dropping)
-  while (state.queue.length > 0 && state.active.size < MAX_AGENTS && state.available.length > 0) {
-    const queuedJob = state.queue.shift();
-    const agent = state.available.pop();
-    console.log(`   → Processing queued job ${queuedJob.id} with ${agent.id}`);
+// Build the logs record filter from --since/--grep/--tag
+function buildLogFilter(options) {
+  const sinceMs = options.since ? parseSince(options.since) : null;
+  let pattern = null;
+  if (options.grep) {
     try {
-      await startJobContainer(state, queuedJob, agent);
+      pattern = new RegExp(options.grep, 'i');
     } catch (e) {
-      console.error(`   ❌ Failed to start container for queued job ${queuedJob.id}: ${e.message}`);
-      // Return agent to pool and re-queue the job at the back
-      state.available.push(agent);
-      state.queue.push(queuedJob);
-      break; // Don't keep trying if container creation is failing
+      throw new Error(`--grep: ${e.message}`);
     }
   }
+  const tags = options.tag
+    ? options.tag.split(',').map(t => t.trim().replace(/^\[|\]$/g, '').toUpperCase()).filter(Boolean)
+    : [];
+
+  const filter = (record) => {
+    if (sinceMs && Date.parse(record.ts) < sinceMs) return false;
+    if (pattern && !pattern.test(record.line)) return false;
+    if (tags.length > 0 && !tags.some(tag => record.line.toUpperCase().includes(`[${tag}]`))) return false;
+    return true;
+  };
+  filter.sinceMs = sinceMs;
+  return filter;
 }
 
-// Check for pending reviews and process them (runs from dispatcher, not container)
+function printLogRecord({ ts, stream, line }) {
+  const marker = stream === 'stdout' ? '' : `[${stream}] `;
+  const out = stream === 'stderr' ? process.stderr : process.stdout;
+  out.write(`${ts} ${marker}${line}\n`);
+}
+
+/**
+ * Resolve a job ID or its 8-character log prefix to a running container
+ * and/or retained log file. Exits if nothing or more than one job matches.
+ */
+async function resolveLogTarget(idOrPrefix) {
+  if (!isSafeJobId(idOrPrefix)) {
+    console.error(`❌ Invalid job ID: ${idOrPrefix}`);
+    process.exit(1);
+  }
+
+  const running = new Map(); // jobId -> container info
+  try {
+    const containers = await docker.listContainers({ filters: { label: ['vap.ephemeral=true'] } });
+    for (const info of containers) {
+      const jobId = info.Labels?.['vap.job.id'];
+      if (jobId?.startsWith(idOrPrefix)) running.set(jobId, info);
+    }
+  } catch (e) {
+    console.error(`(Docker unavailable: ${e.message} — checking retained logs only)`);
+  }
+
+  const retained = fs.readdirSync(LOGS_DIR)
+    .filter(name => name.endsWith('.log') && name.startsWith(idOrPrefix))
+    .map(name => name.slice(0, -'.log'.length));
+
+  const matches = [...new Set([...running.keys(), ...retained])];
+  if (matches.length === 0) {
+    console.error(`❌ No running container or retained log for ${idOrPrefix}`);
+    process.exit(1);
+  }
+  if (matches.length > 1) {
+    console.error(`❌ ${idOrPrefix} matches ${matches.length} jobs — use more of the ID:`);
+    matches.forEach(id => console.error(`   ${id}${running.has(id) ? ' (running)' : ''}`));
+    process.exit(1);
+  }
+
+  const jobId = matches[0];
+  const info = running.get(jobId);
+  return { jobId, container: info ? docker.getContainer(info.Id) : null };
+}
+
+// Cancel command — ask a job container to wrap up: it cleans up its executor,
+// delivers a signed "failed" result with the reason, attests and exits
+program
+  .command('cancel <jobId>')
+  .description('Cancel a job: the container delivers a cancellation and attests (queued jobs are dropped)')
+  .option('--reason <text>', 'Reason sent to the buyer with the cancellation', 'Cancelled by the provider')
+  .option('--force', 'Stop the container immediately (no delivery)')
+  .action(async (jobId, options) => {
+    ensureDirs();
+    if (!isSafeJobId(jobId)) {
+      console.error('❌ Invalid job ID');
+      process.exit(1);
+    }
+
+    let result;
+    try {
+      result = await requestAdmin(ADMIN_SOCKET_PATH, 'POST', `/jobs/${encodeURIComponent(jobId)}/cancel`, {
+        reason: options.reason,
+        force: !!options.force,
+      });
+    } catch (e) {
+      if (e.code !== 'ENOENT' && e.code !== 'ECONNREFUSED') {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+      }
+      // No dispatcher running — the container can't sign its cancellation
+      // without the dispatcher's signing service, so only --force works
+      if (!options.force) {
+        console.error('❌ No dispatcher running — the container signs through the dispatcher, so it could not deliver the cancellation.');
+        console.error('   Start the dispatcher (it re-adopts the container) and cancel again, or use --force to stop it without a delivery.');
+        process.exit(1);
+      }
+      result = await stopUnmanagedJob(jobId);
+    }
+
+    if (result.was === 'active') {
+      console.log(options.force
+        ? `🛑 ${jobId} stopped`
+        : `🛑 Cancel sent to ${jobId} — it will deliver the cancellation, attest and exit`);
+    } else if (result.was === 'retry-pending') {
+      console.log(`🛑 ${jobId} cancelled (was retry-pending) — ${result.delivered
+        ? 'cancellation delivered'
+        : 'cancellation could not be delivered (see dispatcher log)'}, moved to dead letter`);
+    } else {
+      console.log(`🛑 ${jobId} cancelled (was ${result.was})`);
+    }
+  });
+
+async function stopUnmanagedJob(jobId) {
+  const container = docker.getContainer(`vap-job-${jobId}`);
+  try {
+    await container.stop();
+    return { ok: true, jobId, was: 'active' };
+  } catch (e) {
+    if (isNoSuchContainer(e)) {
+      console.error(`❌ No running container for ${jobId} (and no dispatcher running to check its queue)`);
+    } else {
+      console.error(`❌ Could not cancel ${jobId}: ${e.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+// Decline command — tell the buyer (with a signed decline) that a requested
+// job won't be taken, instead of leaving it to time out
+program
+  .command('decline <jobId>')
+  .description('Sign and submit a decline for a requested job')
+  .option('--reason <text>', 'Reason sent to the buyer', 'Declined by the provider')
+  .option('--agent <agentId>', 'Agent the job was sent to (needed unless it is queued or turned down by policy)')
+  .action(async (jobId, options) => {
+    ensureDirs();
+    if (!isSafeJobId(jobId)) {
+      console.error('❌ Invalid job ID');
+      process.exit(1);
+    }
+
+    try {
+      const result = await requestAdmin(ADMIN_SOCKET_PATH, 'POST', `/jobs/${encodeURIComponent(jobId)}/decline`, {
+        reason: options.reason,
+        agent: options.agent,
+      });
+      console.log(`✋ ${jobId} declined by ${result.agentId}`);
+      return;
+    } catch (e) {
+      if (e.code !== 'ENOENT' && e.code !== 'ECONNREFUSED') {
+        console.error(`❌ ${e.message}`);
+        process.exit(1);
+      }
+    }
+
+    // No dispatcher running — decline directly with the agent's keys
+    if (!options.agent) {
+      console.error('❌ No dispatcher running — pass --agent <agentId> for the job\'s seller identity');
+      process.exit(1);
+    }
+    await unlockAgentKeys();
+    const keys = loadAgentKeys(options.agent);
+    if (!keys?.identity) {
+      console.error(`❌ ${options.agent} is not registered on the platform`);
+      process.exit(1);
+    }
+
+    const { VAPAgent } = require('../vap-agent-sdk/dist/index.js');
+    const agent = new VAPAgent({
+      vapUrl: process.env.VAP_API_URL || 'https://api.autobb.app',
+      wif: keys.wif,
+      identityName: keys.identity,
+      iAddress: keys.iAddress,
+    });
+    const reason = sanitizeDeclineReason(options.reason);
+    try {
+      await loginAgent(agent, { id: options.agent, ...keys });
+      const result = await submitDecline(agent, { id: options.agent, wif: keys.wif }, jobId, reason);
+      if (result.unsupported) {
+        console.error(`❌ Could not decline ${jobId}: the SDK has no client.declineJob`);
+        process.exit(1);
+      }
+      if (!result.declined) {
+        console.error(`❌ Job ${jobId} is ${result.status}, not requested`);
+        process.exit(1);
+      }
+      recordDecline(options.agent, { ...pickJobFields(result.job), id: jobId }, reason, 'operator');
+      const seen = loadSeenJobs();
+      seen.set(jobId, Date.now());
+      saveSeenJobs(seen);
+      console.log(`✋ ${jobId} declined by ${options.agent}`);
+    } catch (e) {
+      console.error(`❌ Could not decline ${jobId}: ${e.message}`);
+      process.exit(1);
+    }
+  });
+
+// Keys command group — encrypt/decrypt agent key files at rest
+const keysCommand = program
+  .command('keys')
+  .description('Encrypt or decrypt agent keys.json files (scrypt + AES-256-GCM)');
+
+// Named agents, or every registered agent
+function resolveKeyAgents(agentIds) {
+  const registered = listRegisteredAgents();
+  if (agentIds.length === 0) return registered;
+  const unknown = agentIds.filter(id => !registered.includes(id));
+  if (unknown.length > 0) {
+    console.error(`❌ No keys.json for: ${unknown.join(', ')}`);
+    process.exit(1);
+  }
+  return agentIds;
+}
+
+keysCommand
+  .command('encrypt [agentIds...]')
+  .description('Encrypt agent key files with a passphrase (all agents by default)')
+  .action(async (agentIds) => {
+    ensureDirs();
+    const agents = resolveKeyAgents(agentIds);
+    await unlockAgentKeys({ always: true, confirm: true });
+    let changed = 0;
+    for (const agentId of agents) {
+      const keys = readAgentKeysFile(agentId);
+      if (isEncryptedKeys(keys)) {
+        console.log(`  ${agentId}: already encrypted`);
+        continue;
+      }
+      saveAgentKeys(agentId, keys, true);
+      console.log(`  ${agentId}: encrypted 🔒`);
+      changed++;
+    }
+    console.log(`\n✅ ${changed} key file(s) encrypted`);
+    if (changed > 0) {
+      console.log('   Unlock at start with VAP_KEYS_PASSPHRASE, VAP_KEYS_PASSPHRASE_FILE or the prompt.');
+    }
+  });
+
+keysCommand
+  .command('decrypt [agentIds...]')
+  .description('Decrypt agent key files back to plaintext (all agents by default)')
+  .action(async (agentIds) => {
+    ensureDirs();
+    const agents = resolveKeyAgents(agentIds);
+    // Only the files being decrypted, so one left under another passphrase
+    // can still be recovered on its own
+    await unlockAgentKeys({ agentIds: agents });
+    let changed = 0;
+    for (const agentId of agents) {
+      if (!isEncryptedKeys(readAgentKeysFile(agentId))) {
+        console.log(`  ${agentId}: not encrypted`);
+        continue;
+      }
+      try {
+        saveAgentKeys(agentId, loadAgentKeys(agentId), false);
+      } catch (e) {
+        console.error(`❌ ${agentId}: ${e.message}`);
+        process.exit(1);
+      }
+      console.log(`  ${agentId}: decrypted`);
+      changed++;
+    }
+    console.log(`\n✅ ${changed} key file(s) decrypted`);
+    if (changed > 0) console.log('⚠️  The WIFs are stored in plaintext again.');
+
+    // Without a passphrase new audit entries can't be keyed, and an unkeyed
+    // entry after keyed ones reads as tampering: start a new log instead.
+    const stillEncrypted = listRegisteredAgents().some(id => isEncryptedKeys(readAgentKeysFile(id)));
+    if (!stillEncrypted && readSignatures(SIGNATURES_PATH).some(e => e.keyed)) {
+      const archived = path.join(DISPATCHER_DIR, `signatures-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+      fs.renameSync(SIGNATURES_PATH, archived);
+      console.log(`📦 Keyed signature log moved to ${archived}; new signatures start an unkeyed log.`);
+      console.log(`   Check the old one with: audit signatures --verify --file ${archived}`);
+    }
+  });
+
+// Admin command group — actions against a running dispatcher's admin API
+const adminCommand = program
+  .command('admin')
+  .description('Control a running dispatcher (pause/resume agents, cancel jobs, drain)');
+
+async function runAdminAction(method, urlPath, body) {
+  try {
+    return await requestAdmin(ADMIN_SOCKET_PATH, method, urlPath, body);
+  } catch (e) {
+    if (e.code === 'ENOENT' || e.code === 'ECONNREFUSED') {
+      console.error('❌ Dispatcher is not running (no admin socket). Start it with: vap-dispatcher start');
+    } else {
+      console.error(`❌ ${e.message}`);
+    }
+    process.exit(1);
+  }
+}
+
+adminCommand
+  .command('pause <agentId>')
+  .description('Stop starting jobs on an agent (its running job finishes; new jobs queue)')
+  .action(async (agentId) => {
+    await runAdminAction('POST', `/agents/${encodeURIComponent(agentId)}/pause`);
+    console.log(`⏸️  ${agentId} paused`);
+  });
+
+adminCommand
+  .command('resume <agentId>')
+  .description('Return a paused agent to the pool')
+  .action(async (agentId) => {
+    await runAdminAction('POST', `/agents/${encodeURIComponent(agentId)}/resume`);
+    console.log(`▶️  ${agentId} resumed`);
+  });
+
+adminCommand
+  .command('drain')
+  .description('Stop taking new jobs; active jobs run to completion, queue is kept')
+  .action(async () => {
+    const result = await runAdminAction('POST', '/drain');
+    console.log(`⏳ Draining — ${result.active} active job(s) still running, ${result.queued} queued`);
+  });
+
+adminCommand
+  .command('undrain')
+  .description('Resume taking jobs after a drain')
+  .action(async () => {
+    await runAdminAction('POST', '/undrain');
+    console.log('▶️  Accepting jobs again');
+  });
+
+// Jobs command group — dead-letter store inspection and manual re-dispatch
+const jobsCommand = program
+  .command('jobs')
+  .description('Inspect and manage failed jobs');
+
+jobsCommand
+  .command('failed')
+  .description('List jobs that exhausted their retries (dead letter)')
+  .option('-v, --verbose', 'Show attempt history and log tail')
+  .action((options) => {
+    ensureDirs();
+
+    const entries = loadDeadLetters();
+    if (entries.length === 0) {
+      console.log('No failed jobs.');
+      return;
+    }
+
+    console.log(`\nFailed jobs: ${entries.length}\n`);
+    for (const entry of entries) {
+      const job = entry.job || {};
+      console.log(`  ${entry.jobId}`);
+      console.log(`    Agent:    ${entry.agentId}`);
+      console.log(`    Failed:   ${entry.failedAt}`);
+      console.log(`    Cause:    ${entry.cause}${entry.error ? ` (${entry.error})` : ''}`);
+      console.log(`    Exit:     ${entry.exitCode ?? 'n/a'}${entry.oomKilled ? ' (OOM-killed)' : ''}`);
+      console.log(`    Attempts: ${(entry.attempts || []).length}`);
+      if (job.amount != null) console.log(`    Payment:  ${job.amount} ${job.currency}`);
+      if (job.buyerVerusId) console.log(`    Buyer:    ${job.buyerVerusId}`);
+      if (options.verbose) {
+        for (const a of entry.attempts || []) {
+          console.log(`      #${a.attempt} ${a.startedAt} → ${a.endedAt} exit ${a.exitCode}${a.oomKilled ? ' OOM' : ''} (${a.cause || 'ok'})`);
+        }
+        if ((entry.logTail || []).length > 0) {
+          console.log('    Log tail:');
+          entry.logTail.forEach(line => console.log(`      ${line}`));
+        }
+      }
+      console.log('');
+    }
+    console.log('Re-dispatch: vap-dispatcher jobs retry <jobId>');
+    console.log('Drop:        vap-dispatcher jobs discard <jobId>');
+  });
+
+jobsCommand
+  .command('retry <jobId>')
+  .description('Re-dispatch a failed job on the agent it was addressed to')
+  .action((jobId) => {
+    ensureDirs();
+
+    if (!isSafeJobId(jobId)) {
+      console.error('❌ Invalid job ID');
+      process.exit(1);
+    }
+    const entry = loadDeadLetter(jobId);
+    if (!entry) {
+      console.error(`❌ ${jobId} is not in the dead letter. See: vap-dispatcher jobs failed`);
+      process.exit(1);
+    }
+    if (!readAgentKeysFile(entry.agentId)) {
+      console.error(`❌ Agent ${entry.agentId} no longer exists — cannot re-dispatch`);
+      process.exit(1);
+    }
+
+    // Hand the job to the dispatcher through its durable queue; it re-fetches
+    // the job from the platform before starting (and resumes if accepted)
+    persistQueuedJob({
+      ...(entry.job || {}),
+      id: jobId,
+      assignedAgentId: entry.agentId,
+      queuedAt: Date.now(),
+      manualRetry: true,
+    });
+    removeDeadLetter(jobId);
+
+    console.log(`✅ ${jobId} queued for ${entry.agentId}`);
+    console.log('   A running dispatcher picks it up on its next cleanup pass; otherwise on next start.');
+  });
+
+jobsCommand
+  .command('discard <jobId>')
+  .description('Remove a failed job from the dead letter')
+  .action((jobId) => {
+    ensureDirs();
+
+    if (!isSafeJobId(jobId)) {
+      console.error('❌ Invalid job ID');
+      process.exit(1);
+    }
+    if (!loadDeadLetter(jobId)) {
+      console.error(`❌ ${jobId} is not in the dead letter`);
+      process.exit(1);
+    }
+    removeDeadLetter(jobId);
+    console.log(`🗑️  ${jobId} discarded`);
+  });
+
+jobsCommand
+  .command('history')
+  .description('Show finished jobs from the ledger')
+  .option('--agent <agentId>', 'Only this agent')
+  .option('--buyer <verusId>', 'Only this buyer')
+  .option('--from <date>', 'Finished on or after this date (ISO)')
+  .option('--to <date>', 'Finished before this date (ISO)')
+  .option('--outcome <outcome>', 'completed, failed or declined')
+  .option('--format <format>', 'table, json or csv', 'table')
+  .option('-o, --output <file>', 'Write json/csv to a file instead of stdout')
+  .option('-n, --limit <n>', 'Show only the most recent n jobs (table only)', '50')
+  .action((options) => {
+    ensureDirs();
+
+    let filters;
+    try {
+      filters = parseLedgerFilters(options);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+    if (options.outcome && !['completed', 'failed', 'declined'].includes(options.outcome)) {
+      console.error('❌ --outcome must be completed, failed or declined');
+      process.exit(1);
+    }
+    if (!['table', 'json', 'csv'].includes(options.format)) {
+      console.error('❌ --format must be table, json or csv');
+      process.exit(1);
+    }
+
+    const records = filterLedger(readLedger(LEDGER_PATH), { ...filters, outcome: options.outcome });
+
+    if (options.format !== 'table') {
+      const body = options.format === 'json'
+        ? JSON.stringify(records, null, 2) + '\n'
+        : toCsv(records, LEDGER_COLUMNS);
+      if (options.output) {
+        fs.writeFileSync(options.output, body);
+        console.log(`✅ Wrote ${records.length} job(s) to ${options.output}`);
+      } else {
+        process.stdout.write(body);
+      }
+      return;
+    }
+
+    if (records.length === 0) {
+      console.log('No jobs in the ledger match.');
+      return;
+    }
+    const limit = parseInt(options.limit, 10) || 50;
+    const shown = records.slice(-limit);
+    console.log(`\nJobs: ${records.length}${shown.length < records.length ? ` (showing last ${shown.length})` : ''}\n`);
+    for (const r of shown) {
+      const payment = r.amount != null ? `${r.amount} ${r.currency}` : 'n/a';
+      const detail = r.outcome === 'completed' ? '' : ` (${r.cause || 'unknown'})`;
+      console.log(`  ${r.endedAt}  ${r.jobId}`);
+      const run = r.outcome === 'declined' ? '' : ` · ${r.attempts} attempt(s) · ${r.durationSec}s · attestation ${r.attestation}`;
+      console.log(`    ${r.agentId} · ${r.outcome}${detail} · ${payment}${run}`);
+      if (r.buyer) console.log(`    Buyer: ${r.buyer}`);
+    }
+    console.log('');
+  });
+
+// Report command group — accounting views over the job ledger
+const reportCommand = program
+  .command('report')
+  .description('Reports from the job ledger');
+
+reportCommand
+  .command('earnings')
+  .description('Earnings per agent and currency (optionally per service and period)')
+  .option('--by <dims>', `Group by, comma-separated: ${EARNINGS_DIMENSIONS.join(', ')}`, 'agent,currency')
+  .option('--period <period>', `Period size when grouping by period: ${PERIODS.join(', ')}`, 'month')
+  .option('--agent <agentId>', 'Only this agent')
+  .option('--from <date>', 'Finished on or after this date (ISO)')
+  .option('--to <date>', 'Finished before this date (ISO)')
+  .option('--format <format>', 'table, json or csv', 'table')
+  .option('-o, --output <file>', 'Write json/csv to a file instead of stdout')
+  .action((options) => {
+    ensureDirs();
+
+    const by = options.by.split(',').map(d => d.trim()).filter(Boolean);
+    const unknown = by.filter(d => !EARNINGS_DIMENSIONS.includes(d));
+    if (unknown.length > 0) {
+      console.error(`❌ --by: unknown dimension(s) ${unknown.join(', ')} (use ${EARNINGS_DIMENSIONS.join(', ')})`);
+      process.exit(1);
+    }
+    if (!PERIODS.includes(options.period)) {
+      console.error(`❌ --period must be one of ${PERIODS.join(', ')}`);
+      process.exit(1);
+    }
+    if (!['table', 'json', 'csv'].includes(options.format)) {
+      console.error('❌ --format must be table, json or csv');
+      process.exit(1);
+    }
+    let filters;
+    try {
+      filters = parseLedgerFilters(options);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+
+    const records = filterLedger(readLedger(LEDGER_PATH), filters);
+    const rows = aggregateEarnings(records, { by, period: options.period });
+
+    if (options.format !== 'table') {
+      const columns = rows.length > 0 ? Object.keys(rows[0]) : [];
+      const body = options.format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : toCsv(rows, columns);
+      if (options.output) {
+        fs.writeFileSync(options.output, body);
+        console.log(`✅ Wrote ${rows.length} row(s) to ${options.output}`);
+      } else {
+        process.stdout.write(body);
+      }
+      return;
+    }
+
+    if (rows.length === 0) {
+      console.log('No finished jobs in the ledger match.');
+      return;
+    }
+
+    console.log('\n╔══════════════════════════════════════════╗');
+    console.log('║     Earnings Report                      ║');
+    console.log('╚══════════════════════════════════════════╝\n');
+    console.log(`Jobs: ${records.length}${options.from || options.to ? ` (${options.from || '…'} → ${options.to || 'now'})` : ''}\n`);
+    for (const row of rows) {
+      const label = EARNINGS_DIMENSIONS.filter(d => d in row && d !== 'currency').map(d => row[d]).join(' · ');
+      console.log(`  ${label ? `${label} · ` : ''}${row.currency}`);
+      console.log(`    Delivered: ${row.deliveredAmount} (${row.deliveredJobs} job(s))`);
+      if (row.failedJobs > 0) console.log(`    Failed:    ${row.failedAmount} (${row.failedJobs} job(s))`);
+      if (row.cancelledJobs > 0) console.log(`    Cancelled: ${row.cancelledAmount} (${row.cancelledJobs} job(s))`);
+    }
+
+    // Per-currency totals across all groups
+    const totals = aggregateEarnings(records, { by: [] });
+    console.log('\nTotals delivered:');
+    totals.forEach(t => console.log(`  ${t.currency}: ${t.deliveredAmount} (${t.deliveredJobs} job(s))`));
+    console.log('');
+  });
+
+reportCommand
+  .command('buyers')
+  .description('Buyers whose jobs were held back by the per-buyer limits')
+  .option('--from <date>', 'Held on or after this date (ISO)')
+  .option('--to <date>', 'Held before this date (ISO)')
+  .option('--format <format>', 'table, json or csv', 'table')
+  .option('-o, --output <file>', 'Write json/csv to a file instead of stdout')
+  .action((options) => {
+    ensureDirs();
+    if (!['table', 'json', 'csv'].includes(options.format)) {
+      console.error('❌ --format must be table, json or csv');
+      process.exit(1);
+    }
+    let filters;
+    try {
+      filters = parseLedgerFilters(options);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+
+    const hits = readLimitHits(BUYER_LIMITS_PATH).filter(h => {
+      const ms = Date.parse(h.ts);
+      return (filters.fromMs == null || ms >= filters.fromMs) && (filters.toMs == null || ms < filters.toMs);
+    });
+    // Jobs each buyer got through in the same window, for scale
+    const finished = filterLedger(readLedger(LEDGER_PATH), filters).filter(r => r.outcome !== 'declined');
+    const rows = summarizeLimitHits(hits).map(row => ({
+      ...row,
+      jobsFinished: finished.filter(r => normalizeId(r.buyer) === row.buyer).length,
+    }));
+
+    if (options.format !== 'table') {
+      const columns = ['buyer', 'jobsHeld', 'concurrent', 'hourly', 'jobsFinished', 'firstAt', 'lastAt'];
+      const body = options.format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : toCsv(rows, columns);
+      if (options.output) {
+        fs.writeFileSync(options.output, body);
+        console.log(`✅ Wrote ${rows.length} row(s) to ${options.output}`);
+      } else {
+        process.stdout.write(body);
+      }
+      return;
+    }
+
+    const { maxConcurrent, maxPerHour } = config.buyerLimits;
+    console.log(`\nBuyer limits: ${maxConcurrent ?? 'no'} concurrent, ${maxPerHour ?? 'no'} per hour`);
+    if (rows.length === 0) {
+      console.log('No buyer has hit a limit.\n');
+      return;
+    }
+    console.log(`Buyers held back: ${rows.length}\n`);
+    for (const row of rows) {
+      console.log(`  ${row.buyer}`);
+      console.log(`    ${row.jobsHeld} job(s) held (concurrent ${row.concurrent}, hourly ${row.hourly}) · ${row.jobsFinished} finished`);
+      console.log(`    ${row.firstAt} → ${row.lastAt}`);
+    }
+    console.log('');
+  });
+
+// Audit command group — the signature audit log
+const auditCommand = program
+  .command('audit')
+  .description('Audit what the agent keys have signed');
+
+auditCommand
+  .command('signatures')
+  .description('Show signatures made with agent keys, and check the log\'s hash chain')
+  .option('--agent <agentId>', 'Only this agent')
+  .option('--type <type>', 'Only this message type (accept, deliver, attestation, container-attestation, login, decline, identity-update, register, set-authorities, accept-review)')
+  .option('--job <jobId>', 'Only this job')
+  .option('--from <date>', 'Signed on or after this date (ISO)')
+  .option('--to <date>', 'Signed before this date (ISO)')
+  .option('--verify', 'Check the whole hash chain and exit non-zero if it is broken')
+  .option('--format <format>', 'table, json or csv', 'table')
+  .option('-o, --output <file>', 'Write json/csv to a file instead of stdout')
+  .option('-n, --limit <n>', 'Show only the most recent n signatures (table only)', '50')
+  .option('--file <path>', 'Read an archived signature log instead of the current one', SIGNATURES_PATH)
+  .action(async (options) => {
+    ensureDirs();
+    if (!['table', 'json', 'csv'].includes(options.format)) {
+      console.error('❌ --format must be table, json or csv');
+      process.exit(1);
+    }
+    let filters;
+    try {
+      filters = parseLedgerFilters(options);
+    } catch (e) {
+      console.error(`❌ ${e.message}`);
+      process.exit(1);
+    }
+
+    const entries = readSignatures(options.file);
+    // Keyed entries are HMACs under the keys passphrase
+    if (entries.some(e => e.keyed)) await unlockAgentKeys({ always: true });
+    const chain = verifySignatureChain(entries, keysPassphrase ? deriveAuditKey(keysPassphrase) : null);
+    const rows = filterSignatures(entries, { ...filters, type: options.type, job: options.job });
+
+    if (options.format !== 'table') {
+      const body = options.format === 'json' ? JSON.stringify(rows, null, 2) + '\n' : toCsv(rows, SIGNATURE_COLUMNS);
+      if (options.output) {
+        fs.writeFileSync(options.output, body);
+        console.log(`✅ Wrote ${rows.length} signature(s) to ${options.output}`);
+      } else {
+        process.stdout.write(body);
+      }
+    } else {
+      const limit = parseInt(options.limit, 10) || 50;
+      const shown = rows.slice(-limit);
+      console.log(`\nSignatures: ${rows.length}${shown.length < rows.length ? ` (showing last ${shown.length})` : ''}\n`);
+      for (const e of shown) {
+        console.log(`  #${e.seq}  ${e.ts}  ${e.agentId}  ${e.type}${e.jobId ? `  job ${e.jobId}` : ''}`);
+        console.log(`    sha256 ${e.messageHash}`);
+      }
+      if (shown.length > 0) console.log('');
+    }
+
+    // Chain status goes to stderr for json/csv so the output stays machine-readable
+    const report = options.format === 'table' ? console.log : console.error;
+    if (chain.ok) {
+      report(`🔗 Hash chain intact: ${chain.count} entr${chain.count === 1 ? 'y' : 'ies'}, head ${chain.head}`);
+      if (chain.unkeyed > 0) {
+        report(`⚠️  ${chain.unkeyed} entr${chain.unkeyed === 1 ? 'y is' : 'ies are'} plain SHA-256 (written with plaintext keys): anyone who can write the file can rewrite them`);
+      }
+    } else {
+      console.error(`❌ Hash chain broken: ${chain.reason}. ${chain.count} entr${chain.count === 1 ? 'y' : 'ies'} verified before it (last good hash ${chain.head})`);
+      if (options.verify) process.exit(1);
+    }
+  });
+
+// --from/--to (ISO dates) for ledger commands
+function parseLedgerFilters(options) {
+  const parseDate = (flag, value) => {
+    if (!value) return undefined;
+    const ms = Date.parse(value);
+    if (Number.isNaN(ms)) throw new Error(`${flag}: not a date: ${value}`);
+    return ms;
+  };
+  return {
+    agent: options.agent,
+    buyer: options.buyer,
+    fromMs: parseDate('--from', options.from),
+    toMs: parseDate('--to', options.to),
+  };
+}
+
+// Get or create a cached authenticated VAPAgent session.
+// Sessions are reused for 10 minutes before re-authenticating.
+const SESSION_TTL_MS = 10 * 60 * 1000; // 10 min
+
+async function getAgentSession(state, agentInfo) {
+  const { VAPAgent } = require('../vap-agent-sdk/dist/index.js');
+  const baseUrl = process.env.VAP_API_URL || 'https://api.autobb.app';
+
+  const cached = state.agentSessions.get(agentInfo.id);
+  if (cached && (Date.now() - cached.authedAt) < SESSION_TTL_MS) {
+    return cached.agent;
+  }
+  if (cached) {
+    metrics.sessionReauths.inc({ agent: agentInfo.id, reason: 'expired' });
+  } else if (state.authedAgents.has(agentInfo.id)) {
+    // Session was dropped after an API error
+    metrics.sessionReauths.inc({ agent: agentInfo.id, reason: 'invalidated' });
+  }
+
+  const agent = new VAPAgent({
+    vapUrl: baseUrl,
+    wif: agentInfo.wif,
+    identityName: agentInfo.identity,
+    iAddress: agentInfo.iAddress,
+  });
+  await loginAgent(agent, agentInfo);
+  state.agentSessions.set(agentInfo.id, { agent, authedAt: Date.now() });
+  state.authedAgents.add(agentInfo.id);
+  return agent;
+}
+
+/**
+ * Push intake: keep one socket subscription per agent (same VAPAgent chat
+ * connection job-agent.js uses) and fetch that agent's requested jobs as soon
+ * as the platform announces one. The event only triggers a fetch, so the
+ * usual dedup/queue rules in pollAgentJobs still apply.
+ */
+async function subscribeToJobs(state, agentInfo) {
+  if (state.jobSubscriptions.has(agentInfo.id)) return;
+
+  const { VAPAgent } = require('../vap-agent-sdk/dist/index.js');
+  const agent = new VAPAgent({
+    vapUrl: process.env.VAP_API_URL || 'https://api.autobb.app',
+    wif: agentInfo.wif,
+    identityName: agentInfo.identity,
+    iAddress: agentInfo.iAddress,
+  });
+
+  try {
+    await loginAgent(agent, agentInfo);
+    await agent.connectChat();
+  } catch (e) {
+    agent.stop();
+    console.error(`[Push] Could not subscribe ${agentInfo.id}: ${e.message} (reconcile poll will cover it)`);
+    return;
+  }
+
+  // Forget a dropped socket so the next reconcile pass subscribes again
+  const drop = (reason) => {
+    if (state.jobSubscriptions.get(agentInfo.id)?.agent !== agent) return;
+    state.jobSubscriptions.delete(agentInfo.id);
+    agent.stop();
+    console.warn(`[Push] ${agentInfo.id} subscription dropped (${reason}) — resubscribing on the next reconcile pass`);
+  };
+  agent.on('chat:disconnected', () => drop('disconnected'));
+  agent.on('error', (e) => drop(e?.message || 'error'));
+
+  agent.on('job:requested', (job) => {
+    if (!state.acceptingJobs) return; // draining — the reconcile poll picks it up after undrain
+    console.log(`[Push] ${agentInfo.id} job requested${job?.id ? `: ${job.id}` : ''}`);
+    pollAgentJobs(state, agentInfo)
+      .then(() => drainQueue(state))
+      .catch(e => console.error(`[Push] Fetch failed for ${agentInfo.id}:`, e.message));
+  });
+
+  state.jobSubscriptions.set(agentInfo.id, { agent, connectedAt: Date.now() });
+  console.log(`[Push] Subscribed ${agentInfo.id} to job requests`);
+}
+
+async function subscribeAllToJobs(state) {
+  for (const agentInfo of state.agents) {
+    await subscribeToJobs(state, agentInfo);
+  }
+}
+
+// Put an agent back in the idle pool, unless it is paused or already there
+function returnAgentToPool(state, agentInfo) {
+  if (state.paused.has(agentInfo.id)) return;
+  if (!state.available.some(a => a.id === agentInfo.id)) {
+    state.available.push(agentInfo);
+  }
+}
+
+// Poll for new jobs (every idle agent)
+async function pollForJobs(state) {
+  if (!state.acceptingJobs) return;
+  for (const agentInfo of [...state.available]) {
+    await pollAgentJobs(state, agentInfo);
+  }
+
+  await drainQueue(state);
+}
+
+// Fetch one agent's requested jobs and start or queue them. Calls that arrive
+// while a fetch for the same agent is in flight are coalesced into one rerun.
+async function pollAgentJobs(state, agentInfo) {
+  if (state.polling.has(agentInfo.id)) {
+    state.polling.set(agentInfo.id, true);
+    return;
+  }
+  state.polling.set(agentInfo.id, false);
+
+  try {
+    console.log(`[Poll] Checking ${agentInfo.id} (${agentInfo.identity || agentInfo.address})`);
+
+    const pollStart = Date.now();
+    const agent = await getAgentSession(state, agentInfo);
+
+    // Fetch pending jobs via SDK client
+    const result = await agent.client.getMyJobs({ status: 'requested', role: 'seller' });
+    metrics.pollLatency.observe({}, (Date.now() - pollStart) / 1000);
+    const jobs = Array.isArray(result?.data) ? result.data : [];
+    console.log(`[Poll] ${agentInfo.id} jobs fetched: ${jobs.length}`);
+
+    for (const job of jobs) {
+      if (!job?.id) {
+        console.warn(`[Poll] ${agentInfo.id} skipping malformed job:`, JSON.stringify(job).slice(0, 160));
+        continue;
+      }
+
+      // Check if already handling or already processed
+      if (state.seen.has(job.id)) {
+        console.log(`[Poll] ${agentInfo.id} skipping ${job.id} (seen)`);
+        continue;
+      }
+      if (state.active.has(job.id)) {
+        console.log(`[Poll] ${agentInfo.id} skipping ${job.id} (already active)`);
+        continue;
+      }
+      if (state.queue.some(j => j.id === job.id)) {
+        console.log(`[Poll] ${agentInfo.id} skipping ${job.id} (already queued)`);
+        continue;
+      }
+
+      const rejection = checkJobPolicy(state, agentInfo, job);
+      if (rejection?.decline) {
+        try {
+          const result = await declineJob(state, agentInfo, job.id, rejection.reason, 'policy');
+          if (result.declined) continue;
+        } catch (e) {
+          console.error(`[Decline] Could not decline ${job.id} for ${agentInfo.id}: ${e.message}`);
+        }
+      }
+      if (rejection) {
+        // Left alone on the platform; re-checked each poll in case the policy changes
+        if (state.rejected.get(job.id)?.reason !== rejection.reason) {
+          console.log(`🚫 ${agentInfo.id} policy rejected ${job.id} (${job.amount} ${job.currency}): ${rejection.reason}`);
+          metrics.jobsRejected.inc({ agent: agentInfo.id, rule: rejection.rule });
+        } else {
+          console.log(`[Poll] ${agentInfo.id} skipping ${job.id} (policy: ${rejection.rule})`);
+        }
+        state.rejected.set(job.id, { agentId: agentInfo.id, ...rejection, at: new Date().toISOString() });
+        continue;
+      }
+      state.rejected.delete(job.id);
+
+      console.log(`📥 New job: ${job.id} (${job.amount} ${job.currency})`);
+      noteBuyerJob(state, agentInfo.id, job.buyerVerusId, job.id);
+
+      // The job is addressed to this seller identity, so it can only run on
+      // this agent — queue it behind the agent's current job and backlog
+      const agentBusy = !state.available.some(a => a.id === agentInfo.id);
+      const hasBacklog = state.queue.some(j => j.assignedAgentId === agentInfo.id);
+      const atCapacity = state.active.size >= config.maxAgents;
+      const buyerLimit = atCapacity || agentBusy || hasBacklog ? null : buyerLimitFor(state, job, agentInfo);
+      if (atCapacity || agentBusy || hasBacklog || buyerLimit) {
+        const reason = atCapacity ? 'max capacity'
+          : buyerLimit ? `buyer at ${buyerLimit.limit} limit`
+          : `${agentInfo.id} busy`;
+        console.log(`   → Queueing for ${agentInfo.id} (${reason})`);
+        enqueueJob(state, job, agentInfo);
+      } else {
+        console.log(`   → Starting container with ${agentInfo.id}`);
+        await startJobContainer(state, job, agentInfo);
+      }
+    }
+
+    // Forget rejections for jobs the platform no longer lists as requested
+    for (const [jobId, rejected] of state.rejected) {
+      if (rejected.agentId === agentInfo.id && !jobs.some(j => j.id === jobId)) state.rejected.delete(jobId);
+    }
+  } catch (e) {
+    // Invalidate session on auth/request errors so next poll re-authenticates
+    state.agentSessions.delete(agentInfo.id);
+    metrics.apiErrors.inc({ agent: agentInfo.id, operation: 'poll' });
+    console.error(`[Poll] Error for ${agentInfo.id}:`, e.message);
+  } finally {
+    const rerun = state.polling.get(agentInfo.id);
+    state.polling.delete(agentInfo.id);
+    if (rerun) await pollAgentJobs(state, agentInfo);
+  }
+}
+
+/**
+ * Check a job against the agent's acceptance policy (agent-config.json, read
+ * on every poll so edits apply without a restart). An invalid policy turns
+ * every job down rather than accepting unchecked work, but never declines.
+ *
+ * @returns {{ rule: string, reason: string, decline?: boolean } | null}
+ */
+function checkJobPolicy(state, agentInfo, job) {
+  const policy = loadAgentConfig(agentInfo.id).policy;
+  if (!policy) return null;
+  const errors = validatePolicy(policy);
+  if (errors.length > 0) {
+    return { rule: 'invalidPolicy', reason: `invalid policy in agent-config.json — ${errors.join('; ')}` };
+  }
+  const rejection = evaluatePolicy(policy, job, countBuyerJobsToday(state, agentInfo.id, job.buyerVerusId));
+  return rejection && { ...rejection, decline: policy.onReject === 'decline' };
+}
+
+// Per-agent, per-buyer job IDs for the current UTC day (maxJobsPerBuyerPerDay).
+// Kept as sets so a retried or re-adopted job is only counted once.
+function buyerJobsToday(state) {
+  const today = new Date().toISOString().slice(0, 10);
+  if (state.buyerJobs.day !== today) state.buyerJobs = { day: today, jobs: new Map() };
+  return state.buyerJobs.jobs;
+}
+
+function noteBuyerJob(state, agentId, buyer, jobId) {
+  const jobs = buyerJobsToday(state);
+  const key = `${agentId}|${normalizeId(buyer)}`;
+  if (!jobs.has(key)) jobs.set(key, new Set());
+  jobs.get(key).add(jobId);
+}
+
+function countBuyerJobsToday(state, agentId, buyer) {
+  return buyerJobsToday(state).get(`${agentId}|${normalizeId(buyer)}`)?.size || 0;
+}
+
+// Rebuild buyer counts after a restart from the ledger plus re-adopted and
+// restored queued jobs: per-agent jobs today (policy) and pool-wide starts
+// in the last hour (buyerLimits)
+function seedBuyerCounts(state) {
+  const today = new Date().toISOString().slice(0, 10);
+  const hourAgo = Date.now() - HOUR_MS;
+  for (const record of readLedger(LEDGER_PATH)) {
+    if (!record.buyer) continue;
+    if (String(record.startedAt || '').startsWith(today)) {
+      noteBuyerJob(state, record.agentId, record.buyer, record.jobId);
+    }
+    if (Date.parse(record.startedAt) > hourAgo) noteBuyerStart(state, record.buyer, Date.parse(record.startedAt));
+  }
+  for (const [jobId, active] of state.active) {
+    if (!active.job?.buyerVerusId) continue;
+    noteBuyerJob(state, active.agentId, active.job.buyerVerusId, jobId);
+    if (active.startedAt > hourAgo) noteBuyerStart(state, active.job.buyerVerusId, active.startedAt);
+  }
+  for (const queued of state.queue) {
+    if (queued.buyerVerusId) noteBuyerJob(state, queued.assignedAgentId, queued.buyerVerusId, queued.id);
+  }
+}
+
+// Jobs a buyer has running across the pool, counting retries waiting to restart
+function buyerRunningCount(state, buyer) {
+  const key = normalizeId(buyer);
+  return [...state.active.values()].filter(a => normalizeId(a.job?.buyerVerusId) === key).length
+    + [...state.pendingRetries.values()].filter(r => normalizeId(r.job?.buyerVerusId) === key).length;
+}
+
+function noteBuyerStart(state, buyer, at = Date.now()) {
+  const key = normalizeId(buyer);
+  state.buyerStarts.set(key, [...(state.buyerStarts.get(key) || []), at]);
+}
+
+function buyerStartsLastHour(state, buyer) {
+  const key = normalizeId(buyer);
+  const cutoff = Date.now() - HOUR_MS;
+  const starts = (state.buyerStarts.get(key) || []).filter(t => t > cutoff);
+  if (starts.length > 0) state.buyerStarts.set(key, starts);
+  else state.buyerStarts.delete(key);
+  return starts.length;
+}
+
+/**
+ * Is a new job's buyer at a pool-wide limit (config.buyerLimits)? The first
+ * time a job waits on each limit is logged and appended to
+ * buyer-limits.jsonl for `report buyers`.
+ *
+ * @returns {{ limit: string, count: number, max: number } | null}
+ */
+function buyerLimitFor(state, job, agentInfo) {
+  const { maxConcurrent, maxPerHour } = config.buyerLimits;
+  if ((maxConcurrent == null && maxPerHour == null) || !job.buyerVerusId) return null;
+
+  const hit = checkBuyerLimits(config.buyerLimits, {
+    running: buyerRunningCount(state, job.buyerVerusId),
+    lastHour: buyerStartsLastHour(state, job.buyerVerusId),
+  });
+  if (!hit) return null;
+
+  const waited = state.limitHits.get(job.id) || new Set();
+  if (!waited.has(hit.limit)) {
+    waited.add(hit.limit);
+    state.limitHits.set(job.id, waited);
+    console.log(`[Limits] ${job.buyerVerusId} at ${hit.limit} limit (${hit.count}/${hit.max}) — ${job.id} waits behind other buyers`);
+    metrics.buyerLimited.inc({ limit: hit.limit });
+    try {
+      appendLimitHit(BUYER_LIMITS_PATH, {
+        ts: new Date().toISOString(),
+        buyer: normalizeId(job.buyerVerusId),
+        jobId: job.id,
+        agentId: agentInfo.id,
+        ...hit,
+      });
+    } catch (e) {
+      console.error(`[Limits] Could not record limit hit for ${job.id}: ${e.message}`);
+    }
+  }
+  return hit;
+}
+
+/**
+ * Start queued jobs whose assigned agent is idle, in queue order.
+ * A job can only run on the seller identity it was addressed to (the signed
+ * accept must come from that key), so each job waits for its own agent.
+ * A job whose buyer is at a buyerLimits cap is skipped, so other buyers'
+ * jobs go ahead of it. Retries were already accepted and are not limited.
+ * The job stays queued on disk until startJobContainer has started it (D3).
+ */
+async function drainQueue(state) {
+  // Poll and cleanup loops both drain; don't let them start the same job twice
+  if (state.draining || !state.acceptingJobs) return;
+  state.draining = true;
+  try {
+    for (const queuedJob of [...state.queue]) {
+      if (state.active.size >= config.maxAgents) break;
+
+      const agent = state.available.find(a => a.id === queuedJob.assignedAgentId);
+      if (!agent) continue; // agent busy or not ready — keep waiting
+      if (!queuedJob.manualRetry && !queuedJob.pendingRetry && buyerLimitFor(state, queuedJob, agent)) continue;
+
+      console.log(`   → Processing queued job ${queuedJob.id} with ${agent.id}`);
+      let job = queuedJob;
+      if (queuedJob.manualRetry || queuedJob.pendingRetry) {
+        // Re-dispatched from the dead letter or parked mid-retry — start from
+        // the platform's current job data
+        try {
+          const session = await getAgentSession(state, agent);
+          job = await session.client.getJob(queuedJob.id);
+        } catch (e) {
+          metrics.apiErrors.inc({ agent: agent.id, operation: 'getJob' });
+          console.error(`   ❌ Could not fetch job ${queuedJob.id} for manual retry: ${e.message}`);
+          noteRedispatchFailure(state, queuedJob, 'refetch', e.message);
+          continue;
+        }
+      }
+      const started = await startJobContainer(state, job, agent);
+      if (!started) {
+        console.error(`   ❌ Failed to start container for queued job ${queuedJob.id}`);
+        break; // Don't keep trying if container creation is failing
+      }
+    }
+  } finally {
+    state.draining = false;
+  }
+}
+
+// Check for pending reviews and process them (runs from dispatcher, not container)
 async function checkPendingReviews(state) {
   // Check all registered agents (not just available ones — reviews arrive after job is done)
   for (const agentInfo of state.agents) {
@@ -937,9 +2585,11 @@ async function checkPendingReviews(state) {
       for (const item of pending) {
         try {
           console.log(`[Reviews] Processing ${item.type} ${item.id}`);
-          await agent.acceptReview(item.id);
+          const review = await agent.acceptReview(item.id);
+          await auditSdkSignature(agentInfo.id, 'accept-review', item.jobId ?? null, { inboxItem: item.id, txid: review?.txid });
           console.log(`[Reviews] ✅ Review accepted and identity updated for ${agentInfo.id}`);
         } catch (e) {
+          metrics.apiErrors.inc({ agent: agentInfo.id, operation: 'acceptReview' });
           console.error(`[Reviews] ❌ Failed to process ${item.id}:`, e.message);
         }
       }
@@ -947,31 +2597,34 @@ async function checkPendingReviews(state) {
       // Invalidate session on error so next cycle re-authenticates
       state.agentSessions.delete(agentInfo.id);
       if (!e.message.includes('not registered')) {
+        metrics.apiErrors.inc({ agent: agentInfo.id, operation: 'reviews' });
         console.error(`[Reviews] Error checking ${agentInfo.id}:`, e.message);
       }
     }
   }
 }
 
-// M7: Read per-agent executor config and return as env vars for container
-function getExecutorEnvVars(agentInfo) {
-  const envVars = [];
-  const agentDir = path.join(AGENTS_DIR, agentInfo.id);
-
-  // Try agent-config.json first, then fall back to keys.json
-  let config = {};
+// Per-agent config: agent-config.json, falling back to executor fields in keys.json
+function loadAgentConfig(agentId) {
+  const agentDir = path.join(AGENTS_DIR, agentId);
   try {
     const configPath = path.join(agentDir, 'agent-config.json');
     if (fs.existsSync(configPath)) {
-      config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-    } else {
-      // Fall back to executor fields in keys.json
-      const keys = JSON.parse(fs.readFileSync(path.join(agentDir, 'keys.json'), 'utf8'));
-      if (keys.executor) config = keys;
+      return JSON.parse(fs.readFileSync(configPath, 'utf8'));
     }
+    // Fall back to executor fields in keys.json
+    const keys = JSON.parse(fs.readFileSync(path.join(agentDir, 'keys.json'), 'utf8'));
+    if (keys.executor) return keys;
   } catch {
     // No config — use defaults
   }
+  return {};
+}
+
+// M7: Read per-agent executor config and return as env vars for container
+function getExecutorEnvVars(agentInfo) {
+  const envVars = [];
+  const config = loadAgentConfig(agentInfo.id);
 
   if (config.executor) envVars.push(`VAP_EXECUTOR=${config.executor}`);
   if (config.executorUrl) envVars.push(`VAP_EXECUTOR_URL=${config.executorUrl}`);
@@ -987,8 +2640,26 @@ function getExecutorEnvVars(agentInfo) {
   return envVars;
 }
 
-// Start a job container
+/**
+ * Resolve an agent's container profile: the `container` section of its
+ * agent-config.json (image, memoryMb, cpus, pidsLimit, tmpfsSize, env,
+ * network) layered over the dispatcher-wide defaults from config.json.
+ */
+function getContainerProfile(agentInfo) {
+  const overrides = loadAgentConfig(agentInfo.id).container || {};
+  return {
+    ...config.container,
+    image: config.image,
+    ...overrides,
+  };
+}
+
+// Start a job container. Resolves true once the container is running.
 async function startJobContainer(state, job, agentInfo) {
+  if (!isSafeJobId(job.id)) {
+    console.error(`❌ Refusing to start job with unsafe ID: ${String(job.id).slice(0, 80)}`);
+    return false;
+  }
   const jobDir = path.join(JOBS_DIR, job.id);
   fs.mkdirSync(jobDir, { recursive: true });
   // Ensure writable across rootless/user-namespaced container runtimes
@@ -1006,147 +2677,619 @@ async function startJobContainer(state, job, agentInfo) {
   fs.writeFileSync(path.join(jobDir, 'currency.txt'), job.currency);
   
   const agentDir = path.join(AGENTS_DIR, agentInfo.id);
-  const keysPath = path.join(agentDir, 'keys.json');
 
-  // Ensure key file is readable inside rootless/uid-remapped containers
-  // (was 0600 from init, causing EACCES in job-agent)
-  // Use 0o640 (owner rw, group r) — NOT 0o644 which makes WIF world-readable
+  let signer = null;
+  try {
+    // agent-config.json is read again for every job, so an edit made since
+    // `start` is checked here before it reaches Docker
+    const profile = getContainerProfile(agentInfo);
+    const profileErrors = validateContainerProfile(profile);
+    if (profileErrors.length > 0) {
+      throw new Error(`invalid container profile in agent-config.json — ${profileErrors.join('; ')}`);
+    }
+
+    const limits = containerLimits(profile.memoryMb, profile.cpus);
+    // keys.json is never mounted — the container signs through this service
+    signer = await startJobSigner(state, job.id, agentInfo, limits);
+
+    const keepContainers = process.env.VAP_KEEP_CONTAINERS === '1';
+
+    const container = await docker.createContainer({
+      name: `vap-job-${job.id}`,
+      Image: profile.image,  // PRE-BAKED IMAGE (per-agent override allowed)
+      Env: [
+        `VAP_API_URL=${process.env.VAP_API_URL || 'https://api.autobb.app'}`,
+        `VAP_AGENT_ID=${agentInfo.id}`,
+        `VAP_IDENTITY=${agentInfo.identity}`,
+        `VAP_I_ADDRESS=${agentInfo.iAddress}`,
+        `VAP_JOB_ID=${job.id}`,
+        `JOB_TIMEOUT_MS=${config.jobTimeoutMs}`,
+        // Effective limits, attested in the creation record
+        `VAP_MEMORY_LIMIT=${limits.memoryLimit}`,
+        `VAP_CPU_LIMIT=${limits.cpuLimit}`,
+        // Retry context: which attempt this is and which failures will still be retried
+        `VAP_ATTEMPT=${(state.retries.get(job.id)?.total || 0) + 1}`,
+        `VAP_RETRYABLE=${retryableCauses(state, job.id).join(',')}`,
+        // LLM config (pass through from dispatcher env)
+        ...(process.env.KIMI_API_KEY    ? [`KIMI_API_KEY=${process.env.KIMI_API_KEY}`]       : []),
+        ...(process.env.KIMI_BASE_URL   ? [`KIMI_BASE_URL=${process.env.KIMI_BASE_URL}`]     : []),
+        ...(process.env.KIMI_MODEL      ? [`KIMI_MODEL=${process.env.KIMI_MODEL}`]            : []),
+        ...(process.env.IDLE_TIMEOUT_MS ? [`IDLE_TIMEOUT_MS=${process.env.IDLE_TIMEOUT_MS}`]  : []),
+        // M7: Per-agent executor config (from agent-config.json or keys.json)
+        ...getExecutorEnvVars(agentInfo),
+        // Per-agent extra env from agent-config.json container.env
+        ...Object.entries(profile.env || {}).map(([name, value]) => `${name}=${value}`),
+      ],
+      HostConfig: {
+        Binds: [
+          // job dir must be writable for attestation artifacts (creation/deletion json);
+          // it also holds signer.sock
+          `${jobDir}:/app/job`,
+          `${path.join(agentDir, 'SOUL.md')}:/app/SOUL.md:ro`,
+        ],
+        AutoRemove: !keepContainers, // Keep container for debugging when VAP_KEEP_CONTAINERS=1
+        Memory: profile.memoryMb * 1024 * 1024,
+        CpuQuota: Math.round(profile.cpus * 100000), // per 100ms CFS period
+        // Security: No new privileges
+        SecurityOpt: ['no-new-privileges:true'],
+        // Read-only root filesystem
+        ReadonlyRootfs: true,
+        // tmpfs for /tmp so processes can write temp files on readonly rootfs (X6)
+        Tmpfs: { '/tmp': `rw,noexec,nosuid,size=${profile.tmpfsSize}` },
+        // Limit process count to prevent fork bombs (X7)
+        PidsLimit: profile.pidsLimit,
+        // Drop all capabilities
+        CapDrop: ['ALL'],
+        // Optional per-agent Docker network (e.g. one that can reach an MCP sidecar)
+        ...(profile.network ? { NetworkMode: profile.network } : {}),
+      },
+      Labels: {
+        'vap.job.id': job.id,
+        'vap.agent.id': agentInfo.id,
+        'vap.started': String(Date.now()),
+        'vap.ephemeral': 'true',
+        'vap.memory-mb': String(profile.memoryMb),
+        'vap.cpus': String(profile.cpus),
+      },
+    });
+    
+    await container.start();
+    
+    const logTail = [];
+    state.active.set(job.id, {
+      agentId: agentInfo.id,
+      container,
+      startedAt: Date.now(),
+      agentInfo,
+      job: pickJobFields(job),
+      logTail,
+      signer,
+    });
+
+    // Mark as seen immediately to avoid duplicate pickup loops while status remains requested
+    state.seen.set(job.id, Date.now());
+    saveSeenJobs(state.seen);
+    
+    // Remove from available pool
+    state.available = state.available.filter(a => a.id !== agentInfo.id);
+
+    // The job is now owned by its container — drop it from the durable queue
+    const queued = state.queue.find(j => j.id === job.id);
+    if (queued?.queuedAt) {
+      metrics.queueWait.observe({}, (Date.now() - queued.queuedAt) / 1000);
+    }
+    // Retries and re-dispatches don't count against the buyer's hourly limit
+    if (!state.retries.has(job.id) && !queued?.manualRetry && !queued?.pendingRetry) {
+      noteBuyerStart(state, job.buyerVerusId);
+    }
+    dequeueJob(state, job.id);
+    state.startFailures.delete(job.id);
+    metrics.jobsStarted.inc({ agent: agentInfo.id });
+    logJobEvent(job.id, `[Dispatch] Attempt ${(state.retries.get(job.id)?.total || 0) + 1} started on ${agentInfo.id} (${profile.image})`);
+    
+    console.log(`✅ Container started for job ${job.id}`);
+
+    await streamJobLogs(container, job.id, 0, logTail);
+
+    // Set timeout — offset +60s from container's internal timeout
+    // so the container can self-terminate and submit attestation first
+    armJobTimeout(state, job.id, config.jobTimeoutMs + 60000);
+
+    return true;
+  } catch (e) {
+    console.error(`❌ Failed to start container for ${job.id}:`, e.message);
+    if (signer) signer.close();
+    // Return agent to pool (it may never have left it)
+    returnAgentToPool(state, agentInfo);
+    const queued = state.queue.find(j => j.id === job.id);
+    if (queued?.manualRetry || queued?.pendingRetry) {
+      noteRedispatchFailure(state, queued, 'start', e.message);
+    } else {
+      await declineAfterStartFailures(state, job, agentInfo);
+    }
+    return false;
+  }
+}
+
+// HMAC key for new signature audit entries (plaintext keys leave them unkeyed)
+let auditKey;
+function signatureAuditKey() {
+  if (auditKey === undefined) auditKey = appendKey({ passphrase: keysPassphrase, keysEncrypted });
+  return auditKey;
+}
+
+// Signature audit log (src/signature-audit.js). A failed write is logged
+// loudly but never undoes a signature that was already made. Never rejects.
+function auditSignature(agentId, type, jobId, message) {
+  return appendSignature(SIGNATURES_PATH, { agentId, type, jobId, message }, signatureAuditKey())
+    .catch(e => console.error(`[Audit] Could not record ${type} signature for ${agentId}: ${e.message}`));
+}
+
+// Record a signature the SDK made inside one of its own calls (register,
+// setRevokeRecoverAuthorities, acceptReview). The signed bytes never leave
+// the SDK, so the entry hashes a description of the operation and its txid.
+function auditSdkSignature(agentId, type, jobId, operation) {
+  return auditSignature(agentId, type, jobId, JSON.stringify({ sdk: true, type, ...operation, txid: operation.txid ?? null }));
+}
+
+// Log an agent in to the platform and record the challenge it signed. Same
+// challenge/login calls the signing service makes for a job container;
+// used instead of agent.authenticate() so the login shows in the audit log.
+async function loginAgent(agent, agentInfo) {
+  const { signChallenge } = require('../vap-agent-sdk/dist/identity/signer.js');
+  const { challengeId, challenge } = await agent.client.getAuthChallenge();
+  const signature = signChallenge(agentInfo.wif, challenge, agentInfo.iAddress, 'verustest');
+  await auditSignature(agentInfo.id, 'login', null, challenge);
+  await agent.client.login(challengeId, agentInfo.identity, signature);
+}
+
+// Per-job signing service on <job dir>/signer.sock (see src/signing-service.js).
+// The agent's keys stay in this process; the container asks for signatures.
+function startJobSigner(state, jobId, agentInfo, limits) {
+  return startSigningService({
+    socketPath: path.join(JOBS_DIR, jobId, 'signer.sock'),
+    jobId,
+    keys: agentInfo,
+    limits,
+    resolveJob: async () => {
+      const session = await getAgentSession(state, agentInfo);
+      return session.client.getJob(jobId);
+    },
+    resolveAttestationMessage: async (timestamp) => {
+      const session = await getAgentSession(state, agentInfo);
+      return (await session.client.getDeletionAttestationMessage(jobId, timestamp))?.message;
+    },
+    resolveLoginChallenge: async () => {
+      const session = await getAgentSession(state, agentInfo);
+      return session.client.getAuthChallenge();
+    },
+    windowSec: config.signingWindowSec,
+    onSign: ({ kind, signed, message, reason }) => {
+      metrics.signatures.inc({ agent: agentInfo.id, kind, result: signed ? 'signed' : 'refused' });
+      if (signed) {
+        auditSignature(agentInfo.id, kind, jobId, message);
+      } else {
+        console.warn(`[Signer] Refused ${kind} for ${jobId}: ${reason}`);
+        logJobEvent(jobId, `[Signer] Refused ${kind}: ${reason}`);
+      }
+    },
+  });
+}
+
+// A job whose container keeps failing to start is declined rather than left
+// hanging. Only before its first attempt: once accepted it can't be declined.
+async function declineAfterStartFailures(state, job, agentInfo) {
+  const queued = state.queue.find(j => j.id === job.id);
+  if (!config.declineAfterStartFailures || state.retries.has(job.id) || queued?.manualRetry || queued?.pendingRetry) return;
+
+  const failures = (state.startFailures.get(job.id) || 0) + 1;
+  state.startFailures.set(job.id, failures);
+  logJobEvent(job.id, `[Dispatch] Container start failed (${failures}/${config.declineAfterStartFailures})`);
+  if (failures < config.declineAfterStartFailures) return;
+
+  try {
+    await declineJob(state, agentInfo, job.id, 'The provider could not start work on this job', 'startFailures');
+  } catch (e) {
+    console.error(`[Decline] Could not decline ${job.id} for ${agentInfo.id}: ${e.message}`);
+  }
+}
+
+// A re-dispatched job (`jobs retry`, or a retry parked at shutdown) can't be
+// declined, so one whose re-fetch or start keeps failing goes back to the
+// dead letter with the last error instead of staying queued forever
+function noteRedispatchFailure(state, queued, cause, error) {
+  const failures = (queued.redispatchFailures || 0) + 1;
+  logJobEvent(queued.id, `[Dispatch] Re-dispatch failed (${failures}/${MAX_REDISPATCH_FAILURES}): ${error}`);
+  if (failures < MAX_REDISPATCH_FAILURES) {
+    queued.redispatchFailures = failures;
+    persistQueuedJob(queued);
+    return;
+  }
+
+  console.error(`   ❌ Re-dispatch of ${queued.id} failed ${failures} times — moved back to dead letter`);
+  const agentId = queued.assignedAgentId;
+  const attempts = state.attempts.get(queued.id) || [];
+  const last = attempts[attempts.length - 1] || {};
+  const job = pickJobFields(queued);
+  metrics.jobsFailed.inc({ agent: agentId, cause });
+  // exit set: this re-dispatch never ran, so it adds no attempt
+  recordLedger(state, queued.id, { agentId, job, startedAt: queued.queuedAt, exit: { exitCode: last.exitCode } }, 'failed', cause);
+  recordDeadLetter({
+    jobId: queued.id,
+    agentId,
+    failedAt: new Date().toISOString(),
+    cause,
+    error,
+    exitCode: last.exitCode,
+    oomKilled: !!last.oomKilled,
+    job,
+    attempts,
+    logTail: [],
+  });
+  dequeueJob(state, queued.id);
+  state.retries.delete(queued.id);
+  state.attempts.delete(queued.id);
+}
+
+// Decline reasons go into a pipe-delimited signed message
+function sanitizeDeclineReason(reason) {
+  return String(reason || '').replace(/[|\r\n]+/g, ' ').trim().slice(0, 200) || 'Declined by the provider';
+}
+
+// The decline endpoint (client.declineJob) and its VAP-DECLINE template are
+// not in a released SDK yet (see README "Declining a job"). Checked at start
+// when anything is set to decline, else on the first decline; without it
+// every decline falls back to onReject "ignore".
+let declineSupported = null;
+
+function checkDeclineSupport(agent) {
+  if (declineSupported === null) {
+    declineSupported = typeof agent.client.declineJob === 'function';
+    if (!declineSupported) {
+      console.warn('⚠️  [Decline] This SDK has no client.declineJob — declines are skipped and jobs left alone (as onReject "ignore")');
+    }
+  }
+  return declineSupported;
+}
+
+// At start: say now, not on the first rejected job, that configured declines
+// can't happen with this SDK
+function checkDeclineConfig(agents) {
+  const declining = agents.filter(a => loadAgentConfig(a.id).policy?.onReject === 'decline');
+  if (declining.length === 0 && !config.declineAfterStartFailures) return;
+  const { VAPAgent } = require('../vap-agent-sdk/dist/index.js');
+  const probe = new VAPAgent({
+    vapUrl: process.env.VAP_API_URL || 'https://api.autobb.app',
+    wif: agents[0].wif,
+    identityName: agents[0].identity,
+    iAddress: agents[0].iAddress,
+  });
+  if (checkDeclineSupport(probe)) return;
+  for (const agentInfo of declining) {
+    console.warn(`⚠️  ${agentInfo.id}: policy onReject is "decline" — jobs it rejects will be left alone instead`);
+  }
+  if (config.declineAfterStartFailures) {
+    console.warn('⚠️  declineAfterStartFailures is set — jobs whose container keeps failing to start stay queued instead');
+  }
+}
+
+/**
+ * Sign and submit a decline, the counterpart of job-agent.js's VAP-ACCEPT.
+ * Only a job still in `requested` can be declined; otherwise nothing is
+ * signed and { declined: false, status } comes back. Without SDK support
+ * nothing is signed either and { declined: false, unsupported: true } comes back.
+ *
+ * @param {Object} agent - Authenticated VAPAgent for the job's seller identity
+ * @param {Object} agentInfo - { id, wif }
+ * @param {string} jobId
+ * @param {string} reason - Already sanitized
+ */
+async function submitDecline(agent, agentInfo, jobId, reason) {
+  if (!checkDeclineSupport(agent)) return { declined: false, unsupported: true };
+  const { signMessage } = require('../vap-agent-sdk/dist/identity/signer.js');
+  const fullJob = await agent.client.getJob(jobId);
+  if (!fullJob || !fullJob.jobHash || !fullJob.buyerVerusId) {
+    throw new Error(`Invalid job data from API for ${jobId}: missing jobHash or buyerVerusId`);
+  }
+  if (fullJob.status && fullJob.status !== 'requested') {
+    return { declined: false, status: fullJob.status, job: fullJob };
+  }
+
+  const timestamp = Math.floor(Date.now() / 1000);
+  const message = declineMessage(fullJob, timestamp, reason);
+  const declineSig = signMessage(agentInfo.wif, message, 'verustest');
+  await auditSignature(agentInfo.id, 'decline', jobId, message);
+  await agent.client.declineJob(jobId, declineSig, timestamp, reason);
+  return { declined: true, job: fullJob };
+}
+
+/**
+ * Deliver a signed "failed" result for a job with no container to do it
+ * (a retry cancelled during its backoff). Same message job-agent.js signs
+ * on SIGUSR2; there is no job dir left to attest deletion for.
+ *
+ * @param {Object} agent - Authenticated VAPAgent for the job's seller identity
+ * @param {Object} agentInfo - { id, wif }
+ * @param {string} jobId
+ * @param {string} reason - Already sanitized
+ */
+async function deliverCancellation(agent, agentInfo, jobId, reason) {
+  const { signMessage } = require('../vap-agent-sdk/dist/identity/signer.js');
+  const fullJob = await agent.client.getJob(jobId);
+  if (!fullJob || !fullJob.jobHash) {
+    throw new Error(`Invalid job data from API for ${jobId}: missing jobHash`);
+  }
+  const timestamp = Math.floor(Date.now() / 1000);
+  const deliverMessage = `VAP-DELIVER|Job:${fullJob.jobHash}|Delivery:failed|Ts:${timestamp}|I have delivered the work for this job.`;
+  const deliverSig = signMessage(agentInfo.wif, deliverMessage, 'verustest');
+  await auditSignature(agentInfo.id, 'deliver', jobId, deliverMessage);
+  await agent.client.deliverJob(jobId, 'failed', deliverSig, timestamp, `Cancelled: ${reason}`);
+}
+
+// Ledger record + job log line for a declined job (it never ran)
+function recordDecline(agentId, job, reason, trigger) {
+  logJobEvent(job.id, `[Decline] Declined (${trigger}): ${reason}`);
+  const now = new Date().toISOString();
+  try {
+    appendLedger(LEDGER_PATH, {
+      jobId: job.id,
+      agentId,
+      buyer: job.buyerVerusId ?? null,
+      amount: job.amount ?? null,
+      currency: job.currency ?? null,
+      service: job.serviceName || job.serviceId || null,
+      startedAt: null,
+      endedAt: now,
+      durationSec: 0,
+      attempts: 0,
+      exitCode: null,
+      outcome: 'declined',
+      cause: trigger,
+      executor: null,
+      deliverHash: null,
+      attestation: 'none',
+    });
+  } catch (e) {
+    console.error(`[Ledger] Could not record ${job.id}: ${e.message}`);
+  }
+}
+
+/**
+ * Decline a requested job on behalf of one of our agents and forget it
+ * locally (queue, policy rejections, start failures; marked seen).
+ *
+ * @param {string} trigger - policy | operator | startFailures
+ * @returns {Promise<{ declined: boolean, status?: string, unsupported?: boolean }>}
+ */
+async function declineJob(state, agentInfo, jobId, reason, trigger) {
+  if (declineSupported === false) return { declined: false, unsupported: true };
+  reason = sanitizeDeclineReason(reason);
+  let result;
+  try {
+    const agent = await getAgentSession(state, agentInfo);
+    result = await submitDecline(agent, agentInfo, jobId, reason);
+  } catch (e) {
+    state.agentSessions.delete(agentInfo.id);
+    metrics.apiErrors.inc({ agent: agentInfo.id, operation: 'decline' });
+    throw e;
+  }
+  if (result.unsupported) return { declined: false, unsupported: true };
+  if (!result.declined) {
+    console.log(`[Decline] Not declining ${jobId}: job is ${result.status}`);
+    return { declined: false, status: result.status };
+  }
+
+  console.log(`✋ ${agentInfo.id} declined ${jobId} (${trigger}): ${reason}`);
+  metrics.jobsDeclined.inc({ agent: agentInfo.id, trigger });
+  recordDecline(agentInfo.id, { ...pickJobFields(result.job), id: jobId }, reason, trigger);
+  dequeueJob(state, jobId);
+  state.rejected.delete(jobId);
+  state.startFailures.delete(jobId);
+  state.seen.set(jobId, Date.now());
+  saveSeenJobs(state.seen);
+  return { declined: true };
+}
+
+const LOG_TAIL_LINES = 50;
+
+// Job fields worth keeping after the job dir is gone (dead letter, re-dispatch)
+function pickJobFields(job) {
+  return {
+    id: job.id,
+    description: job.description,
+    buyerVerusId: job.buyerVerusId,
+    amount: job.amount,
+    currency: job.currency,
+    serviceId: job.serviceId,
+    serviceName: job.serviceName,
+  };
+}
+
+// Split a job container's log stream into (stream, line) callbacks. Job
+// containers run without a TTY, so the stream is Docker-multiplexed (8-byte
+// frame headers) — dockerode splits it back into stdout/stderr.
+function demuxLines(logStream, onLine) {
+  const outputs = { stdout: new PassThrough(), stderr: new PassThrough() };
+  docker.modem.demuxStream(logStream, outputs.stdout, outputs.stderr);
+
+  const splitters = Object.entries(outputs).map(([stream, output]) => {
+    const splitter = lineSplitter(line => onLine(stream, line));
+    output.on('data', chunk => splitter.push(chunk));
+    return splitter;
+  });
+  logStream.on('end', () => splitters.forEach(splitter => splitter.flush()));
+}
+
+// Stream container logs to dispatcher stdout and the job's log file, keeping
+// the last LOG_TAIL_LINES lines in `tail` for the dead-letter record
+async function streamJobLogs(container, jobId, since = 0, tail = null) {
+  try {
+    const logStream = await container.logs({
+      follow: true,
+      stdout: true,
+      stderr: true,
+      timestamps: false,
+      since,
+    });
+
+    demuxLines(logStream, (stream, line) => {
+      logJobLine(jobId, stream, line);
+      appendJobLog(LOGS_DIR, jobId, stream, line, config.logs);
+      if (tail) {
+        tail.push(stream === 'stderr' ? `[stderr] ${line}` : line);
+        if (tail.length > LOG_TAIL_LINES) tail.shift();
+      }
+    });
+    logStream.on('error', () => {}); // ignore stream errors when container exits
+  } catch (e) {
+    // Non-fatal: log streaming is for debugging only
+  }
+}
+
+// Record a dispatcher-side event in the job's retained log file
+function logJobEvent(jobId, message) {
+  appendJobLog(LOGS_DIR, jobId, 'dispatcher', message, config.logs);
+}
+
+// Kill the job's container if it is still active after delayMs
+// (only the attempt it was armed for: a retry reuses the job ID)
+function armJobTimeout(state, jobId, delayMs) {
+  const armed = state.active.get(jobId);
+  if (!armed) return;
+  clearTimeout(armed.timeoutTimer);
+  armed.timeoutTimer = setTimeout(async () => {
+    const active = state.active.get(jobId);
+    if (active === armed) {
+      console.log(`⏰ Job ${jobId} timeout, killing container`);
+      logJobEvent(jobId, '[Dispatch] Dispatcher timeout — container killed');
+      if (!active.exiting) recordJobOutcome(active, 'failed', 'timeout');
+      await stopJobContainer(state, jobId);
+    }
+  }, Math.max(0, delayMs));
+}
+
+// Job fields startJobContainer wrote to the job dir (buyer, amount, ...), so a
+// re-adopted job keeps them for the ledger and the buyer limits
+function readJobDirFields(jobId) {
+  const read = (name) => {
+    try {
+      return fs.readFileSync(path.join(JOBS_DIR, jobId, name), 'utf8');
+    } catch {
+      return undefined;
+    }
+  };
+  return {
+    id: jobId,
+    description: read('description.txt'),
+    buyerVerusId: read('buyer.txt'),
+    amount: read('amount.txt'),
+    currency: read('currency.txt'),
+  };
+}
+
+/**
+ * Crash recovery: rebuild state.active from running vap-job-* containers.
+ * Uses the vap.job.id / vap.agent.id / vap.started labels set in
+ * startJobContainer, takes those agents out of the pool and re-arms the
+ * timeout with whatever time the job has left.
+ */
+async function recoverActiveJobs(state) {
+  let containers;
   try {
-    fs.chmodSync(keysPath, 0o640);
-  } catch {
-    // best effort
+    containers = await docker.listContainers({ filters: { label: ['vap.ephemeral=true'] } });
+  } catch (e) {
+    console.error('[Recover] Could not list job containers:', e.message);
+    return 0;
   }
-  
-  try {
-    const keepContainers = process.env.VAP_KEEP_CONTAINERS === '1';
 
-    const container = await docker.createContainer({
-      name: `vap-job-${job.id}`,
-      Image: 'vap/job-agent:latest',  // PRE-BAKED IMAGE
-      Env: [
-        `VAP_API_URL=${process.env.VAP_API_URL || 'https://api.autobb.app'}`,
-        `VAP_AGENT_ID=${agentInfo.id}`,
-        `VAP_IDENTITY=${agentInfo.identity}`,
-        `VAP_JOB_ID=${job.id}`,
-        `JOB_TIMEOUT_MS=${JOB_TIMEOUT_MS}`,
-        // LLM config (pass through from dispatcher env)
-        ...(process.env.KIMI_API_KEY    ? [`KIMI_API_KEY=${process.env.KIMI_API_KEY}`]       : []),
-        ...(process.env.KIMI_BASE_URL   ? [`KIMI_BASE_URL=${process.env.KIMI_BASE_URL}`]     : []),
-        ...(process.env.KIMI_MODEL      ? [`KIMI_MODEL=${process.env.KIMI_MODEL}`]            : []),
-        ...(process.env.IDLE_TIMEOUT_MS ? [`IDLE_TIMEOUT_MS=${process.env.IDLE_TIMEOUT_MS}`]  : []),
-        // M7: Per-agent executor config (from agent-config.json or keys.json)
-        ...getExecutorEnvVars(agentInfo),
-      ],
-      HostConfig: {
-        Binds: [
-          // job dir must be writable for attestation artifacts (creation/deletion json)
-          `${jobDir}:/app/job`,
-          `${keysPath}:/app/keys.json:ro`,
-          `${path.join(agentDir, 'SOUL.md')}:/app/SOUL.md:ro`,
-        ],
-        AutoRemove: !keepContainers, // Keep container for debugging when VAP_KEEP_CONTAINERS=1
-        Memory: 2 * 1024 * 1024 * 1024, // 2GB limit
-        CpuQuota: 100000, // 1 CPU core
-        // Security: No new privileges
-        SecurityOpt: ['no-new-privileges:true'],
-        // Read-only root filesystem
-        ReadonlyRootfs: true,
-        // tmpfs for /tmp so processes can write temp files on readonly rootfs (X6)
-        Tmpfs: { '/tmp': 'rw,noexec,nosuid,size=64m' },
-        // Limit process count to prevent fork bombs (X7)
-        PidsLimit: 64,
-        // Drop all capabilities
-        CapDrop: ['ALL'],
-      },
-      Labels: {
-        'vap.job.id': job.id,
-        'vap.agent.id': agentInfo.id,
-        'vap.started': String(Date.now()),
-        'vap.ephemeral': 'true',
-      },
-    });
-    
-    await container.start();
-    
-    state.active.set(job.id, {
-      agentId: agentInfo.id,
+  let recovered = 0;
+  for (const info of containers) {
+    const labels = info.Labels || {};
+    const jobId = labels['vap.job.id'];
+    const agentId = labels['vap.agent.id'];
+    if (!isSafeJobId(jobId) || state.active.has(jobId)) continue;
+
+    const agentInfo = state.agents.find(a => a.id === agentId);
+    if (!agentInfo) {
+      console.warn(`[Recover] ${jobId}: agent ${agentId} is not ready — leaving container unmanaged (docker stop vap-job-${jobId})`);
+      continue;
+    }
+
+    const startedAt = parseInt(labels['vap.started'], 10) || Date.now();
+    const container = docker.getContainer(info.Id);
+    const logTail = [];
+    // The old signer went with the previous process; the container retries until this one is up
+    let signer = null;
+    try {
+      // Limits the container was created with, not the current profile
+      signer = await startJobSigner(state, jobId, agentInfo,
+        containerLimits(labels['vap.memory-mb'], labels['vap.cpus']));
+    } catch (e) {
+      console.error(`[Recover] ${jobId}: could not start signing service: ${e.message}`);
+    }
+    state.active.set(jobId, {
+      agentId,
       container,
-      startedAt: Date.now(),
+      startedAt,
       agentInfo,
+      job: readJobDirFields(jobId),
+      logTail,
+      recovered: true,
+      signer,
     });
+    state.seen.set(jobId, state.seen.get(jobId) || startedAt);
+    state.available = state.available.filter(a => a.id !== agentId);
 
-    // Mark as seen immediately to avoid duplicate pickup loops while status remains requested
-    state.seen.set(job.id, Date.now());
-    saveSeenJobs(state.seen);
-    
-    // Remove from available pool
-    state.available = state.available.filter(a => a.id !== agentInfo.id);
-    
-    console.log(`✅ Container started for job ${job.id}`);
+    const remainingMs = startedAt + config.jobTimeoutMs + 60000 - Date.now();
+    console.log(`↻ Re-adopted job ${jobId} on ${agentId} (${Math.max(0, Math.round(remainingMs / 60000))} min left)`);
 
-    // Stream container logs to dispatcher stdout for debugging
-    try {
-      const logStream = await container.logs({
-        follow: true,
-        stdout: true,
-        stderr: true,
-        timestamps: false,
-      });
-      const shortId = job.id.substring(0, 8);
-      logStream.on('data', (chunk) => {
-        // Docker multiplexed stream: first 8 bytes are header, rest is payload
-        const lines = chunk.toString('utf8').replace(/[\x00-\x08]/g, '').trim();
-        if (lines) {
-          for (const line of lines.split('\n')) {
-            const clean = line.trim();
-            if (clean) console.log(`  [${shortId}] ${clean}`);
-          }
-        }
-      });
-      logStream.on('error', () => {}); // ignore stream errors when container exits
-    } catch (e) {
-      // Non-fatal: log streaming is for debugging only
-    }
+    // Only follow new output; earlier lines went to the previous process
+    await streamJobLogs(container, jobId, Math.floor(Date.now() / 1000), logTail);
+    armJobTimeout(state, jobId, remainingMs);
+    recovered++;
+  }
 
-    // Set timeout — offset +60s from container's internal timeout
-    // so the container can self-terminate and submit attestation first
-    setTimeout(async () => {
-      const active = state.active.get(job.id);
-      if (active) {
-        console.log(`⏰ Job ${job.id} timeout, killing container`);
-        await stopJobContainer(state, job.id);
-      }
-    }, JOB_TIMEOUT_MS + 60000);
-    
-  } catch (e) {
-    console.error(`❌ Failed to start container for ${job.id}:`, e.message);
-    // Return agent to pool
-    state.available.push(agentInfo);
+  if (recovered > 0) saveSeenJobs(state.seen);
+  return recovered;
+}
+
+// How long a cancelled container gets to deliver and attest before it is stopped
+const CANCEL_GRACE_MS = 2 * 60 * 1000;
+
+// Ask a job container to cancel: control file (reason) + SIGUSR2 (wake-up)
+async function requestJobCancel(container, jobId, reason) {
+  const jobDir = path.join(JOBS_DIR, jobId);
+  if (fs.existsSync(jobDir)) {
+    fs.writeFileSync(path.join(jobDir, 'cancel.json'), JSON.stringify({ reason, requestedAt: new Date().toISOString() }));
   }
+  await container.kill({ signal: 'SIGUSR2' });
 }
 
 // Stop a job container
 async function stopJobContainer(state, jobId, skipReturnAgent = false) {
   const active = state.active.get(jobId);
   if (!active) return;
+  // Our own stop() produces a die event — don't treat it as an exit to handle
+  active.stopping = true;
+  clearTimeout(active.timeoutTimer);
 
   try {
     await active.container.stop();
     // AutoRemove will delete it
   } catch (e) {
-    if (String(e.message || '').includes('404') || String(e.message || '').includes('No such container')) {
+    if (isNoSuchContainer(e)) {
       // already gone; ignore noisy Docker cleanup errors
     } else {
       console.error(`[Cleanup] Error stopping ${jobId}:`, e.message);
     }
   }
 
-  // Restore keys.json to 0o600 (was relaxed to 0o640 for container access)
-  try {
-    const agentDir = path.join(AGENTS_DIR, active.agentInfo.id);
-    fs.chmodSync(path.join(agentDir, 'keys.json'), 0o600);
-  } catch {
-    // best effort
+  if (active.signer) active.signer.close();
+
+  // Final stop — ledger record first, it reads job-result.json from the job dir
+  if (!skipReturnAgent) {
+    const { outcome, cause } = active.outcome || { outcome: 'failed', cause: 'gone' };
+    recordLedger(state, jobId, active, outcome, cause);
   }
 
   // Cleanup job dir (retain for debugging if requested)
@@ -1157,8 +3300,9 @@ async function stopJobContainer(state, jobId, skipReturnAgent = false) {
 
   // Return agent to pool (unless retrying)
   if (!skipReturnAgent) {
-    state.available.push(active.agentInfo);
+    returnAgentToPool(state, active.agentInfo);
     state.retries.delete(jobId);
+    state.attempts.delete(jobId);
   }
   state.active.delete(jobId);
 
@@ -1167,48 +3311,650 @@ async function stopJobContainer(state, jobId, skipReturnAgent = false) {
   }
 }
 
-// Cleanup completed jobs — includes retry logic (F-14)
+function isNoSuchContainer(e) {
+  const msg = String(e?.message || '');
+  return e?.statusCode === 404 || msg.includes('404') || msg.includes('No such container');
+}
+
+/**
+ * Subscribe to Docker container events for job containers (label
+ * vap.ephemeral=true) and handle die/oom/destroy as they happen.
+ * Reconnects after a short delay if the stream drops.
+ */
+async function watchContainerEvents(state) {
+  let stream;
+  try {
+    stream = await docker.getEvents({
+      filters: {
+        type: ['container'],
+        label: ['vap.ephemeral=true'],
+        event: ['die', 'oom', 'destroy'],
+      },
+    });
+  } catch (e) {
+    console.error('[Events] Could not subscribe to Docker events:', e.message);
+    setTimeout(() => watchContainerEvents(state), 5000);
+    return;
+  }
+
+  state.eventsConnected = true;
+  let buffer = '';
+  stream.on('data', (chunk) => {
+    // Events arrive as newline-delimited JSON, possibly split across chunks
+    buffer += chunk.toString('utf8');
+    let newline;
+    while ((newline = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (!line) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch {
+        continue;
+      }
+      handleContainerEvent(state, event).catch(e => {
+        console.error('[Events] Error handling event:', e.message);
+      });
+    }
+  });
+
+  const reconnect = () => {
+    if (!state.eventsConnected) return;
+    state.eventsConnected = false;
+    console.warn('[Events] Docker event stream closed — reconnecting in 5s');
+    setTimeout(() => watchContainerEvents(state), 5000);
+  };
+  stream.on('end', reconnect);
+  stream.on('error', reconnect);
+}
+
+async function handleContainerEvent(state, event) {
+  const attrs = event.Actor?.Attributes || {};
+  const jobId = attrs['vap.job.id'];
+  const active = jobId ? state.active.get(jobId) : null;
+  // Ignore jobs we don't manage, ones we're stopping, and events from a
+  // previous attempt's container (same job ID, different container)
+  if (!active || active.stopping || active.exiting) return;
+  if (active.container.id && event.Actor?.ID && active.container.id !== event.Actor.ID) return;
+
+  switch (event.Action) {
+    case 'oom':
+      // Arrives before the die event; remember it so the exit is classified as OOM
+      active.oomKilled = true;
+      console.log(`💥 Job ${jobId} container hit its memory limit (OOM)`);
+      break;
+    case 'die':
+      await handleContainerExit(state, jobId, {
+        exitCode: parseInt(attrs.exitCode, 10),
+        oomKilled: !!active.oomKilled,
+      });
+      break;
+    case 'destroy':
+      console.log(`🗑️  Container for job ${jobId} gone`);
+      active.exiting = true;
+      await stopJobContainer(state, jobId);
+      await drainQueue(state);
+      break;
+  }
+}
+
+const MAX_RETRY_BACKOFF_MS = 10 * 60 * 1000; // 10 min
+const MAX_REDISPATCH_FAILURES = 5;
+
+// Whether the retry policy still allows another retry for this cause
+function canRetry(state, jobId, cause) {
+  const policy = config.retryPolicy[cause];
+  if (!policy) return false;
+  const record = state.retries.get(jobId) || { total: 0, byCause: {} };
+  return record.total < config.maxRetries && (record.byCause[cause] || 0) < policy.maxRetries;
+}
+
+// Causes the next attempt may fail with and still be retried (passed to the container)
+function retryableCauses(state, jobId) {
+  return RETRY_CAUSES.filter(cause => canRetry(state, jobId, cause));
+}
+
+/**
+ * Handle a job container that has stopped — includes retry logic (F-14).
+ * The exit is classified (OOM, timeout, auth, executor init, failure after
+ * acceptance, crash) and config.retryPolicy decides whether and when to
+ * retry. A retried container resumes an already-accepted job instead of
+ * accepting it again.
+ *
+ * @param {Object} exit - { exitCode: number, oomKilled: boolean }
+ */
+async function handleContainerExit(state, jobId, exit) {
+  const active = state.active.get(jobId);
+  if (!active || active.exiting) return;
+  active.exiting = true;
+
+  // A cancelled job is never retried, whatever its exit code
+  const cause = active.cancelRequested ? null : classifyExit(exit);
+  active.exit = { ...exit, cause };
+
+  const attempts = state.attempts.get(jobId) || [];
+  attempts.push({
+    attempt: attempts.length + 1,
+    agentId: active.agentId,
+    startedAt: new Date(active.startedAt).toISOString(),
+    endedAt: new Date().toISOString(),
+    exitCode: exit.exitCode,
+    oomKilled: !!exit.oomKilled,
+    cause,
+  });
+  state.attempts.set(jobId, attempts);
+
+  const { exitCode, oomKilled } = exit;
+  console.log(`🗑️  Container for job ${jobId} stopped (exit ${exitCode}${oomKilled ? ', OOM-killed' : ''}${cause ? `, cause: ${cause}` : ''})`);
+  logJobEvent(jobId, `[Dispatch] Container exited with ${exitCode}${oomKilled ? ' (OOM-killed)' : ''}${cause ? `, cause: ${cause}` : ''}`);
+
+  if (cause && canRetry(state, jobId, cause)) {
+    const record = state.retries.get(jobId) || { total: 0, byCause: {} };
+    const priorForCause = record.byCause[cause] || 0;
+    record.total++;
+    record.byCause[cause] = priorForCause + 1;
+    state.retries.set(jobId, record);
+
+    const backoffMs = Math.min(config.retryPolicy[cause].backoffMs * 2 ** priorForCause, MAX_RETRY_BACKOFF_MS);
+    console.log(`🔄 Retrying job ${jobId} (${cause}, attempt ${record.total + 1}/${config.maxRetries + 1}) in ${Math.round(backoffMs / 1000)}s`);
+    logJobEvent(jobId, `[RETRY] ${cause}: attempt ${record.total + 1}/${config.maxRetries + 1} in ${Math.round(backoffMs / 1000)}s`);
+
+    recordJobOutcome(active, 'retried', cause);
+
+    // Keep the agent out of the pool while the job waits out its backoff
+    await stopJobContainer(state, jobId, true);
+    scheduleRetry(state, jobId, active, cause, backoffMs);
+    return;
+  }
+
+  if (cause) {
+    console.log(`❌ Job ${jobId} failed (${cause}) after ${attempts.length} attempt(s) — moved to dead letter`);
+    logJobEvent(jobId, `[RETRY] Giving up after ${attempts.length} attempt(s) (${cause}) — moved to dead letter`);
+    recordDeadLetter({
+      jobId,
+      agentId: active.agentId,
+      failedAt: new Date().toISOString(),
+      cause,
+      exitCode: exit.exitCode,
+      oomKilled: !!exit.oomKilled,
+      job: active.job,
+      attempts,
+      logTail: [...(active.logTail || [])],
+    });
+    recordJobOutcome(active, 'failed', cause);
+  } else if (exitCode === EXIT_CODES.OK) {
+    recordJobOutcome(active, 'completed');
+  } else if (active.cancelRequested || exitCode === EXIT_CODES.CANCELLED) {
+    recordJobOutcome(active, 'failed', 'cancelled');
+  } else {
+    recordJobOutcome(active, 'failed', exitCode === EXIT_CODES.DELIVERED_FAILURE ? 'deliveredFailure' : 'notActionable');
+  }
+  await stopJobContainer(state, jobId);
+
+  // The agent is back in the pool — start its queued jobs
+  await drainQueue(state);
+}
+
+// Count how a job container ended (runtime histogram + per-agent counters)
+function recordJobOutcome(active, outcome, cause) {
+  const agent = active.agentId;
+  active.outcome = { outcome, cause };
+  metrics.jobRuntime.observe({ outcome }, (Date.now() - active.startedAt) / 1000);
+  if (outcome === 'completed') metrics.jobsCompleted.inc({ agent });
+  if (outcome === 'failed') metrics.jobsFailed.inc({ agent, cause });
+  if (outcome === 'retried') metrics.jobsRetried.inc({ agent, cause });
+}
+
+function scheduleRetry(state, jobId, active, cause, backoffMs) {
+  const { agentInfo } = active;
+  if (state.shuttingDown) {
+    parkRetry(state, jobId, active.job, agentInfo);
+    return;
+  }
+  const timer = setTimeout(async () => {
+    state.pendingRetries.delete(jobId);
+    // Re-fetch job data from API before retrying (D1 fix: stopJobContainer deletes jobDir)
+    let job;
+    try {
+      const agent = await getAgentSession(state, agentInfo);
+      job = await agent.client.getJob(jobId);
+    } catch (fetchErr) {
+      metrics.apiErrors.inc({ agent: agentInfo.id, operation: 'getJob' });
+      console.error(`❌ Could not re-fetch job ${jobId} for retry: ${fetchErr.message} — moved to dead letter`);
+      abandonRetry(state, jobId, active, 'refetch', fetchErr.message);
+      await drainQueue(state);
+      return;
+    }
+    const started = await startJobContainer(state, job, agentInfo);
+    if (!started) {
+      console.error(`❌ Could not start retry container for ${jobId} — moved to dead letter`);
+      abandonRetry(state, jobId, active, 'start', 'container failed to start');
+      await drainQueue(state);
+    }
+  }, backoffMs);
+  state.pendingRetries.set(jobId, { agentInfo, cause, retryAt: Date.now() + backoffMs, timer, job: active.job, active });
+}
+
+// Shutdown: move a retry into the durable queue (with its retry budget) so
+// the next start runs it instead of losing it with the backoff timer
+function parkRetry(state, jobId, job, agentInfo) {
+  enqueueJob(state, {
+    ...job,
+    id: jobId,
+    pendingRetry: true,
+    retries: state.retries.get(jobId),
+    attempts: state.attempts.get(jobId),
+  }, agentInfo);
+  state.retries.delete(jobId);
+  state.attempts.delete(jobId);
+  console.log(`   → Retry of ${jobId} parked in the queue for next start`);
+}
+
+// A retry could not be started: dead-letter the job and return its agent
+function abandonRetry(state, jobId, active, cause, error) {
+  const attempts = state.attempts.get(jobId) || [];
+  const last = attempts[attempts.length - 1] || {};
+  // Runtime was already observed when the last container exited
+  metrics.jobsFailed.inc({ agent: active.agentId, cause });
+  logJobEvent(jobId, `[RETRY] Retry abandoned (${cause}: ${error}) — moved to dead letter`);
+  recordLedger(state, jobId, active, 'failed', cause);
+  recordDeadLetter({
+    jobId,
+    agentId: active.agentId,
+    failedAt: new Date().toISOString(),
+    cause,
+    error,
+    exitCode: last.exitCode,
+    oomKilled: !!last.oomKilled,
+    job: active.job,
+    attempts,
+    logTail: [...(active.logTail || [])],
+  });
+  returnAgentAfterRetry(state, jobId, active.agentInfo);
+}
+
+// What job-agent.js recorded in the job dir (deliver hash, attestation status)
+function readJobResult(jobId) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(JOBS_DIR, jobId, 'job-result.json'), 'utf8'));
+  } catch {
+    return {};
+  }
+}
+
+// Append the job's final record to the ledger (see src/ledger.js)
+function recordLedger(state, jobId, active, outcome, cause) {
+  const attempts = state.attempts.get(jobId) || [];
+  const result = readJobResult(jobId);
+  const job = active.job || {};
+  const startedAt = attempts[0]?.startedAt || new Date(active.startedAt).toISOString();
+  const endedAt = new Date().toISOString();
+  try {
+    appendLedger(LEDGER_PATH, {
+      jobId,
+      agentId: active.agentId,
+      buyer: job.buyerVerusId ?? null,
+      amount: job.amount ?? null,
+      currency: job.currency ?? null,
+      service: job.serviceName || job.serviceId || null,
+      startedAt,
+      endedAt,
+      durationSec: Math.round((Date.parse(endedAt) - Date.parse(startedAt)) / 1000),
+      // handleContainerExit has already recorded the attempt if the container exited
+      attempts: attempts.length + (active.exit ? 0 : 1),
+      exitCode: active.exit?.exitCode ?? null,
+      outcome,
+      cause: cause || null,
+      executor: result.executor || loadAgentConfig(active.agentId).executor || 'local-llm',
+      deliverHash: result.deliverHash || null,
+      attestation: result.attestation || 'none',
+    });
+  } catch (e) {
+    console.error(`[Ledger] Could not record ${jobId}: ${e.message}`);
+  }
+}
+
+// Give up on a pending retry: agent back to the pool, retry bookkeeping cleared
+function returnAgentAfterRetry(state, jobId, agentInfo) {
+  state.retries.delete(jobId);
+  state.attempts.delete(jobId);
+  returnAgentToPool(state, agentInfo);
+}
+
+// JSON view of dispatcher state for GET /state (no keys, no container handles)
+function buildAdminSnapshot(state) {
+  const now = Date.now();
+  const agentStatus = (agentId) => {
+    if ([...state.active.values()].some(a => a.agentId === agentId)) return 'busy';
+    if ([...state.pendingRetries.values()].some(r => r.agentInfo.id === agentId)) return 'retry-wait';
+    if (state.paused.has(agentId)) return 'paused';
+    if (state.available.some(a => a.id === agentId)) return 'available';
+    return 'unknown';
+  };
+
+  return {
+    pid: process.pid,
+    startedAt: new Date(state.startedAt).toISOString(),
+    acceptingJobs: state.acceptingJobs,
+    shuttingDown: state.shuttingDown,
+    maxAgents: config.maxAgents,
+    intake: config.intake,
+    eventsConnected: state.eventsConnected,
+    agents: state.agents.map(a => ({
+      id: a.id,
+      identity: a.identity || null,
+      status: agentStatus(a.id),
+      queued: state.queue.filter(j => j.assignedAgentId === a.id).length,
+      subscribed: state.jobSubscriptions.has(a.id),
+    })),
+    active: [...state.active].map(([jobId, a]) => ({
+      jobId,
+      agentId: a.agentId,
+      startedAt: new Date(a.startedAt).toISOString(),
+      runningSec: Math.round((now - a.startedAt) / 1000),
+      attempt: (state.attempts.get(jobId) || []).length + 1,
+      recovered: !!a.recovered,
+      stopping: !!a.stopping,
+      cancelling: !!a.cancelRequested,
+    })),
+    queue: state.queue.map(j => ({
+      jobId: j.id,
+      agentId: j.assignedAgentId,
+      buyer: j.buyerVerusId || null,
+      queuedAt: j.queuedAt,
+      manualRetry: !!j.manualRetry,
+      buyerLimits: [...(state.limitHits.get(j.id) || [])],
+    })),
+    available: state.available.map(a => a.id),
+    paused: [...state.paused],
+    rejected: [...state.rejected].map(([jobId, r]) => ({ jobId, ...r })),
+    retries: [...state.retries].map(([jobId, r]) => ({ jobId, ...r })),
+    pendingRetries: [...state.pendingRetries].map(([jobId, r]) => ({
+      jobId,
+      agentId: r.agentInfo.id,
+      cause: r.cause,
+      retryAt: new Date(r.retryAt).toISOString(),
+    })),
+    sessions: [...state.agentSessions].map(([agentId, s]) => ({
+      agentId,
+      authedAt: new Date(s.authedAt).toISOString(),
+      expiresInSec: Math.max(0, Math.round((s.authedAt + SESSION_TTL_MS - now) / 1000)),
+    })),
+  };
+}
+
+// Admin API action handlers; errors carry an HTTP statusCode
+function createAdminActions(state) {
+  const findAgent = (agentId) => {
+    const agentInfo = state.agents.find(a => a.id === agentId);
+    if (!agentInfo) throw httpError(404, `Unknown agent: ${agentId}`);
+    return agentInfo;
+  };
+
+  return {
+    async cancelJob(jobId, { reason, force } = {}) {
+      reason = reason ? String(reason).slice(0, 200) : 'Cancelled by the provider';
+      const active = state.active.get(jobId);
+      if (active && force) {
+        console.log(`[Admin] Force-stopping job ${jobId} (${reason})`);
+        logJobEvent(jobId, `[Dispatch] Force-stopped by operator: ${reason}`);
+        if (!active.exiting) recordJobOutcome(active, 'failed', 'cancelled');
+        await stopJobContainer(state, jobId);
+        await drainQueue(state);
+        return { ok: true, jobId, was: 'active' };
+      }
+      if (active) {
+        if (active.cancelRequested) return { ok: true, jobId, was: 'active', status: 'cancelling' };
+        console.log(`[Admin] Cancelling job ${jobId} (${reason})`);
+        logJobEvent(jobId, `[Dispatch] Cancel requested: ${reason}`);
+        try {
+          await requestJobCancel(active.container, jobId, reason);
+        } catch (e) {
+          throw httpError(isNoSuchContainer(e) ? 404 : 500, `Could not signal ${jobId}: ${e.message}`);
+        }
+        active.cancelRequested = Date.now();
+        // The container exits with CANCELLED and handleContainerExit returns
+        // the agent; stop it ourselves if it doesn't wrap up in time
+        setTimeout(async () => {
+          if (state.active.get(jobId) !== active || active.exiting || active.stopping) return;
+          console.log(`⏰ Job ${jobId} did not finish cancelling in ${CANCEL_GRACE_MS / 1000}s — stopping container`);
+          recordJobOutcome(active, 'failed', 'cancelled');
+          await stopJobContainer(state, jobId);
+          await drainQueue(state);
+        }, CANCEL_GRACE_MS);
+        return { ok: true, jobId, was: 'active', status: 'cancelling' };
+      }
+      const why = ` (${reason})`;
+      const pending = state.pendingRetries.get(jobId);
+      if (pending) {
+        console.log(`[Admin] Cancelling pending retry of ${jobId}${why}`);
+        clearTimeout(pending.timer);
+        state.pendingRetries.delete(jobId);
+        // No container is running, so the dispatcher delivers the cancellation
+        let delivered = false;
+        try {
+          const agent = await getAgentSession(state, pending.agentInfo);
+          await deliverCancellation(agent, pending.agentInfo, jobId, reason);
+          delivered = true;
+          console.log(`✅ Delivered cancellation result for ${jobId}`);
+        } catch (e) {
+          console.error(`[Admin] Could not deliver cancellation of ${jobId}: ${e.message}`);
+        }
+        abandonRetry(state, jobId, pending.active, 'cancelled', `Cancelled: ${reason}`);
+        await drainQueue(state);
+        return { ok: true, jobId, was: 'retry-pending', delivered };
+      }
+      if (state.queue.some(j => j.id === jobId)) {
+        console.log(`[Admin] Removing queued job ${jobId}${why}`);
+        dequeueJob(state, jobId);
+        // Keep polls from picking it straight back up while it is still "requested"
+        state.seen.set(jobId, Date.now());
+        saveSeenJobs(state.seen);
+        return { ok: true, jobId, was: 'queued' };
+      }
+      throw httpError(404, `Job ${jobId} is not active, queued or pending retry`);
+    },
+
+    async declineJob(jobId, { reason, agent } = {}) {
+      if (state.active.has(jobId) || state.pendingRetries.has(jobId)) {
+        throw httpError(409, `Job ${jobId} is already being worked on — use cancel`);
+      }
+      const agentId = state.queue.find(j => j.id === jobId)?.assignedAgentId
+        || state.rejected.get(jobId)?.agentId
+        || agent;
+      if (!agentId) {
+        throw httpError(404, `Job ${jobId} is not queued or turned down by policy — name the agent it was sent to`);
+      }
+      const agentInfo = findAgent(agentId);
+      let result;
+      try {
+        result = await declineJob(state, agentInfo, jobId, reason, 'operator');
+      } catch (e) {
+        throw httpError(502, `Could not decline ${jobId}: ${e.message}`);
+      }
+      if (result.unsupported) throw httpError(501, 'Declining needs client.declineJob, which this SDK does not have');
+      if (!result.declined) throw httpError(409, `Job ${jobId} is ${result.status}, not requested`);
+      return { ok: true, jobId, agentId };
+    },
+
+    pauseAgent(agentId) {
+      findAgent(agentId);
+      state.paused.add(agentId);
+      state.available = state.available.filter(a => a.id !== agentId);
+      console.log(`[Admin] Paused ${agentId}`);
+      return { ok: true, agentId, status: 'paused' };
+    },
+
+    async resumeAgent(agentId) {
+      const agentInfo = findAgent(agentId);
+      if (!state.paused.delete(agentId)) {
+        throw httpError(409, `${agentId} is not paused`);
+      }
+      const busy = [...state.active.values()].some(a => a.agentId === agentId)
+        || [...state.pendingRetries.values()].some(r => r.agentInfo.id === agentId);
+      if (!busy) returnAgentToPool(state, agentInfo);
+      console.log(`[Admin] Resumed ${agentId}`);
+      drainQueue(state).catch(e => console.error('[Admin] Drain after resume failed:', e.message));
+      return { ok: true, agentId, status: busy ? 'busy' : 'available' };
+    },
+
+    drain() {
+      beginDrain(state, 'admin drain');
+      return { ok: true, active: state.active.size, queued: state.queue.length };
+    },
+
+    undrain() {
+      if (state.shuttingDown) throw httpError(409, 'Dispatcher is shutting down');
+      state.acceptingJobs = true;
+      console.log('[Admin] Accepting jobs again');
+      pollForJobs(state).catch(e => console.error('[Admin] Poll after undrain failed:', e.message));
+      return { ok: true };
+    },
+  };
+}
+
+// Stop taking new jobs: no polls, push events ignored, queue left as is.
+// Active containers and their retries carry on.
+function beginDrain(state, reason) {
+  if (!state.acceptingJobs) return;
+  state.acceptingJobs = false;
+  console.log(`⏳ Draining (${reason}): no new jobs will start (${state.active.size} active, ${state.queue.length} queued)`);
+}
+
+/**
+ * Graceful shutdown on SIGTERM/SIGINT: drain, give active containers
+ * config.shutdownGraceMs to deliver and attest, park pending retries in the
+ * durable queue, then stop whatever is still running (dead-lettered, cause
+ * "shutdown"). A second signal exits at once and leaves containers running
+ * for the next start to re-adopt.
+ */
+async function shutdown(state, signal) {
+  if (state.shuttingDown) {
+    console.log(`\n⚠️  ${signal} again — exiting now, ${state.active.size} container(s) left running (re-adopted on next start)`);
+    process.exit(1);
+  }
+  state.shuttingDown = true;
+  console.log(`\n🛑 ${signal} received — shutting down (grace ${Math.round(config.shutdownGraceMs / 1000)}s, send ${signal} again to exit now)`);
+
+  beginDrain(state, signal);
+  clearInterval(state.timers.poll);
+  clearInterval(state.timers.reviews);
+  for (const { agent } of state.jobSubscriptions.values()) {
+    agent.stop();
+  }
+  state.jobSubscriptions.clear();
+
+  for (const [jobId, pending] of [...state.pendingRetries]) {
+    clearTimeout(pending.timer);
+    state.pendingRetries.delete(jobId);
+    parkRetry(state, jobId, pending.job, pending.agentInfo);
+  }
+
+  // Exits during the grace period go through the events stream / cleanup
+  // loop as usual (retries there are parked, see scheduleRetry). Jobs still
+  // running when CANCEL_GRACE_MS is left are cancelled like `vap-dispatcher
+  // cancel`, so each delivers "failed" and attests before it is stopped.
+  const deadline = Date.now() + config.shutdownGraceMs;
+  const cancelAt = deadline - CANCEL_GRACE_MS;
+  let cancelSent = false;
+  let lastReport = 0;
+  while (state.active.size > 0 && Date.now() < deadline) {
+    if (!cancelSent && Date.now() >= cancelAt) {
+      cancelSent = true;
+      for (const [jobId, active] of state.active) {
+        if (active.cancelRequested || active.stopping || active.exiting) continue;
+        console.log(`✋ Cancelling job ${jobId} before shutdown (delivers "failed" and attests)`);
+        logJobEvent(jobId, '[Dispatch] Cancel requested: dispatcher shutting down');
+        try {
+          await requestJobCancel(active.container, jobId, 'The provider is shutting down');
+          active.cancelRequested = Date.now();
+        } catch (e) {
+          console.error(`[Shutdown] Could not signal ${jobId}: ${e.message}`);
+        }
+      }
+    }
+    if (Date.now() - lastReport >= 30000) {
+      console.log(`   Waiting for ${state.active.size} active job(s): ${[...state.active.keys()].join(', ')} (${Math.round((deadline - Date.now()) / 1000)}s left)`);
+      lastReport = Date.now();
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  for (const [jobId, active] of [...state.active]) {
+    if (active.stopping) continue;
+    console.log(`⏰ Job ${jobId} still running after the grace period — stopping it (moved to dead letter)`);
+    logJobEvent(jobId, '[Dispatch] Stopped at dispatcher shutdown (grace period over)');
+    recordDeadLetter({
+      jobId,
+      agentId: active.agentId,
+      failedAt: new Date().toISOString(),
+      cause: 'shutdown',
+      job: active.job,
+      attempts: state.attempts.get(jobId) || [],
+      logTail: [...(active.logTail || [])],
+    });
+    recordJobOutcome(active, 'failed', 'shutdown');
+    await stopJobContainer(state, jobId);
+  }
+
+  clearInterval(state.timers.cleanup);
+  clearInterval(state.timers.containerCheck);
+  clearInterval(state.timers.status);
+  saveSeenJobs(state.seen);
+  state.adminServer?.close();
+  await flushSignatures(SIGNATURES_PATH);
+  await closeJobLogs();
+  console.log(`✅ Dispatcher stopped (${state.queue.length} job(s) kept in ${QUEUE_DIR})`);
+  process.exit(0);
+}
+
+// Queue upkeep every cleanupIntervalMs. The Docker events stream handles
+// exits as they happen; while it is disconnected this also inspects containers.
 async function cleanupCompletedJobs(state) {
+  if (!state.eventsConnected) await reconcileContainers(state);
+
+  // Jobs re-queued by `jobs retry` from another process
+  syncQueueFromDisk(state);
+
+  // Agents may have been returned to the pool — start their queued jobs
+  await drainQueue(state);
+}
+
+// Inspect every active container and handle any that exited unnoticed
+async function reconcileContainers(state) {
+  let finished = false;
   for (const [jobId, active] of state.active) {
+    if (active.stopping || active.exiting) continue;
     try {
-      const container = docker.getContainer(`vap-job-${jobId}`);
-      const info = await container.inspect();
+      const info = await active.container.inspect();
 
       if (!info.State.Running) {
-        const exitCode = info.State.ExitCode;
-        console.log(`🗑️  Container for job ${jobId} stopped (exit ${exitCode})`);
-
-        // Retry on non-zero exit if under MAX_RETRIES
-        if (exitCode !== 0) {
-          const retries = state.retries.get(jobId) || 0;
-          if (retries < MAX_RETRIES) {
-            state.retries.set(jobId, retries + 1);
-            console.log(`🔄 Retrying job ${jobId} (attempt ${retries + 2}/${MAX_RETRIES + 1})`);
-            const agentInfo = active.agentInfo;
-            // Re-fetch job data from API before retrying (D1 fix: stopJobContainer deletes jobDir)
-            let job;
-            try {
-              const agent = await getAgentSession(state, agentInfo);
-              job = await agent.client.getJob(jobId);
-            } catch (fetchErr) {
-              console.error(`❌ Could not re-fetch job ${jobId} for retry: ${fetchErr.message}`);
-              await stopJobContainer(state, jobId);
-              continue;
-            }
-            await stopJobContainer(state, jobId, true); // skip returning agent
-            await startJobContainer(state, job, agentInfo);
-            continue;
-          }
-          console.log(`❌ Job ${jobId} failed after ${MAX_RETRIES + 1} attempts`);
-        }
-        await stopJobContainer(state, jobId);
+        await handleContainerExit(state, jobId, {
+          exitCode: info.State.ExitCode,
+          oomKilled: !!info.State.OOMKilled || !!active.oomKilled,
+        });
+        finished = true;
       }
     } catch (e) {
-      // Container doesn't exist anymore
-      console.log(`🗑️  Container for job ${jobId} gone`);
-      await stopJobContainer(state, jobId);
+      if (isNoSuchContainer(e)) {
+        // Container doesn't exist anymore
+        console.log(`🗑️  Container for job ${jobId} gone`);
+        recordJobOutcome(active, 'failed', 'gone');
+        await stopJobContainer(state, jobId);
+        finished = true;
+      } else {
+        // Docker slow or unavailable — don't mistake that for a finished job
+        console.error(`[Cleanup] Could not inspect ${jobId}, will retry: ${e.message}`);
+      }
     }
   }
+  if (finished) await drainQueue(state);
 }
 
-program.parse();
+// Async actions: an error one of them doesn't handle ends the command with
+// its message instead of an unhandled rejection
+program.parseAsync().catch((e) => {
+  console.error(`❌ ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,351 @@
+/**
+ * Dispatcher configuration
+ *
+ * Reads ~/.vap/dispatcher/config.json (all fields optional), then applies
+ * VAP_* environment overrides on top. Defaults match the values the
+ * dispatcher used before it was configurable.
+ */
+
+const fs = require('fs');
+
+const DEFAULTS = {
+  maxAgents: 9,
+  jobTimeoutMs: 60 * 60 * 1000, // 1 hour
+  maxRetries: 2, // cap on retries per job, across all causes
+  // Per exit cause: how many retries it may use (within maxRetries) and the
+  // base backoff before the retry starts (doubles on each retry of that cause)
+  retryPolicy: {
+    oom: { maxRetries: 1, backoffMs: 30000 },
+    timeout: { maxRetries: 0, backoffMs: 0 },
+    auth: { maxRetries: 2, backoffMs: 60000 },
+    executorInit: { maxRetries: 2, backoffMs: 30000 },
+    afterAccept: { maxRetries: 1, backoffMs: 15000 },
+    crash: { maxRetries: 2, backoffMs: 10000 },
+  },
+  seenJobsTtlMs: 7 * 24 * 60 * 60 * 1000, // 7 days
+  // 'poll' = poll only; 'push' = socket job notifications + slow reconcile poll. Push needs the
+  // SDK's job:requested event, which is not shipped yet (INTEGRATION-PLAN.md, SDK Changes Needed),
+  // so validateConfig refuses it until then
+  intake: 'poll',
+  pollIntervalMs: 30000,
+  reconcileIntervalMs: 120000, // poll fallback interval when intake is 'push'
+  cleanupIntervalMs: 10000, // queue upkeep; also inspects containers while Docker events are disconnected
+  containerCheckIntervalMs: 5 * 60 * 1000, // inspect active containers in case an exit event was missed
+  reviewIntervalMs: 60000,
+  statusIntervalMs: 60000,
+  shutdownGraceMs: 5 * 60 * 1000, // on SIGTERM/SIGINT, wait this long for active jobs to finish
+  declineAfterStartFailures: 3, // sign a decline after this many failed container starts (0 = never)
+  signingWindowSec: 300, // job containers may only get messages signed whose timestamp is this close to now
+  // Per buyer VerusID, across all agents; null = no limit. Over-limit jobs
+  // stay queued while other buyers' jobs start.
+  buyerLimits: {
+    maxConcurrent: null, // jobs running at once
+    maxPerHour: null, // jobs started in the last 60 minutes
+  },
+  image: 'vap/job-agent:latest',
+  container: {
+    memoryMb: 2048,
+    cpus: 1,
+    pidsLimit: 64,
+    tmpfsSize: '64m',
+    network: null, // Docker network name (null = Docker default bridge)
+  },
+  // Admin API: on ~/.vap/dispatcher/admin.sock; set port to also listen on
+  // 127.0.0.1 (requests there must send "Authorization: Bearer <token>").
+  // enabled: false keeps the socket (it marks the dispatcher as running)
+  // but refuses every request.
+  admin: {
+    enabled: true,
+    port: null,
+    token: null,
+  },
+  // Dispatcher console format and retained per-job log files (logs/<job-id>.log)
+  logs: {
+    format: 'text', // 'text' or 'json' (one JSON object per line)
+    maxFileBytes: 10 * 1024 * 1024, // rotate a job's log past this size
+    maxFiles: 3, // generations kept per job, including the current file
+    retentionMs: 14 * 24 * 60 * 60 * 1000, // 14 days
+  },
+  // Prometheus /metrics; off unless port is set
+  metrics: {
+    port: null,
+    host: '127.0.0.1',
+  },
+};
+
+// env var -> [config path, type]
+const ENV_OVERRIDES = {
+  VAP_MAX_AGENTS: ['maxAgents', 'int'],
+  VAP_JOB_TIMEOUT_MS: ['jobTimeoutMs', 'int'],
+  VAP_MAX_RETRIES: ['maxRetries', 'int'],
+  VAP_SEEN_JOBS_TTL_MS: ['seenJobsTtlMs', 'int'],
+  VAP_INTAKE: ['intake', 'string'],
+  VAP_POLL_INTERVAL_MS: ['pollIntervalMs', 'int'],
+  VAP_RECONCILE_INTERVAL_MS: ['reconcileIntervalMs', 'int'],
+  VAP_CLEANUP_INTERVAL_MS: ['cleanupIntervalMs', 'int'],
+  VAP_CONTAINER_CHECK_INTERVAL_MS: ['containerCheckIntervalMs', 'int'],
+  VAP_REVIEW_INTERVAL_MS: ['reviewIntervalMs', 'int'],
+  VAP_STATUS_INTERVAL_MS: ['statusIntervalMs', 'int'],
+  VAP_SHUTDOWN_GRACE_MS: ['shutdownGraceMs', 'int'],
+  VAP_DECLINE_AFTER_START_FAILURES: ['declineAfterStartFailures', 'int'],
+  VAP_SIGNING_WINDOW_SEC: ['signingWindowSec', 'int'],
+  VAP_BUYER_MAX_CONCURRENT: ['buyerLimits.maxConcurrent', 'int'],
+  VAP_BUYER_MAX_PER_HOUR: ['buyerLimits.maxPerHour', 'int'],
+  VAP_JOB_IMAGE: ['image', 'string'],
+  VAP_CONTAINER_MEMORY_MB: ['container.memoryMb', 'int'],
+  VAP_CONTAINER_CPUS: ['container.cpus', 'float'],
+  VAP_CONTAINER_PIDS_LIMIT: ['container.pidsLimit', 'int'],
+  VAP_CONTAINER_TMPFS_SIZE: ['container.tmpfsSize', 'string'],
+  VAP_CONTAINER_NETWORK: ['container.network', 'string'],
+  VAP_ADMIN_ENABLED: ['admin.enabled', 'bool'],
+  VAP_ADMIN_PORT: ['admin.port', 'int'],
+  VAP_ADMIN_TOKEN: ['admin.token', 'string'],
+  VAP_LOG_FORMAT: ['logs.format', 'string'],
+  VAP_LOG_MAX_FILE_BYTES: ['logs.maxFileBytes', 'int'],
+  VAP_LOG_MAX_FILES: ['logs.maxFiles', 'int'],
+  VAP_LOG_RETENTION_MS: ['logs.retentionMs', 'int'],
+  VAP_METRICS_PORT: ['metrics.port', 'int'],
+  VAP_METRICS_HOST: ['metrics.host', 'string'],
+};
+
+// Numeric fields: [path, min, integer]
+const NUMERIC_FIELDS = [
+  ['maxAgents', 1, true],
+  ['jobTimeoutMs', 60000, true],
+  ['maxRetries', 0, true],
+  ['seenJobsTtlMs', 60000, true],
+  ['pollIntervalMs', 1000, true],
+  ['reconcileIntervalMs', 1000, true],
+  ['cleanupIntervalMs', 1000, true],
+  ['containerCheckIntervalMs', 10000, true],
+  ['reviewIntervalMs', 1000, true],
+  ['statusIntervalMs', 1000, true],
+  ['shutdownGraceMs', 0, true],
+  ['declineAfterStartFailures', 0, true],
+  ['signingWindowSec', 10, true],
+  ['logs.maxFileBytes', 4096, true],
+  ['logs.maxFiles', 1, true],
+  ['logs.retentionMs', 60000, true],
+];
+
+// Container resource fields: [key, min, integer]
+const CONTAINER_NUMERIC_FIELDS = [
+  ['memoryMb', 64, true],
+  ['cpus', 0.01, false],
+  ['pidsLimit', 8, true],
+];
+
+const RETRY_CAUSES = Object.keys(DEFAULTS.retryPolicy);
+
+// Env vars the dispatcher sets itself — per-agent env may not override them
+const RESERVED_ENV = /^(VAP_|JOB_TIMEOUT_MS$)/;
+
+function checkNumber(errors, label, value, min, integer) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    errors.push(`${label} must be a number`);
+  } else if (integer && !Number.isInteger(value)) {
+    errors.push(`${label} must be an integer`);
+  } else if (value < min) {
+    errors.push(`${label} must be >= ${min}`);
+  }
+}
+
+function getPath(obj, dotted) {
+  return dotted.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((o, k) => (o[k] = o[k] || {}), obj);
+  target[last] = value;
+}
+
+function mergeConfig(base, overrides) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && base[key] && typeof base[key] === 'object') {
+      merged[key] = mergeConfig(base[key], value);
+    } else {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Check a merged config. Returns a list of human-readable problems (empty if valid).
+ */
+function validateConfig(config) {
+  const errors = [];
+  for (const [field, min, integer] of NUMERIC_FIELDS) {
+    checkNumber(errors, field, getPath(config, field), min, integer);
+  }
+  if (typeof config.image !== 'string' || !config.image.trim()) {
+    errors.push('image must be a non-empty string');
+  }
+  for (const [cause, policy] of Object.entries(config.retryPolicy || {})) {
+    if (!RETRY_CAUSES.includes(cause)) {
+      errors.push(`retryPolicy.${cause} is not a known exit cause (${RETRY_CAUSES.join(', ')})`);
+      continue;
+    }
+    checkNumber(errors, `retryPolicy.${cause}.maxRetries`, policy?.maxRetries, 0, true);
+    checkNumber(errors, `retryPolicy.${cause}.backoffMs`, policy?.backoffMs, 0, true);
+  }
+  if (config.intake === 'push') {
+    // Until the SDK emits job:requested, push would only ever run the slow reconcile poll
+    errors.push('intake "push" is not available yet: the SDK does not emit job:requested (see INTEGRATION-PLAN.md, SDK Changes Needed) — use "poll"');
+  } else if (config.intake !== 'poll') {
+    errors.push('intake must be "poll"');
+  }
+  if (!['text', 'json'].includes(config.logs?.format)) {
+    errors.push('logs.format must be "text" or "json"');
+  }
+  errors.push(...validateContainerProfile(config.container || {}, 'container.'));
+  for (const field of ['maxConcurrent', 'maxPerHour']) {
+    const value = config.buyerLimits?.[field];
+    if (value != null) checkNumber(errors, `buyerLimits.${field}`, value, 1, true);
+  }
+  const admin = config.admin || {};
+  if (typeof admin.enabled !== 'boolean') errors.push('admin.enabled must be true or false');
+  if (admin.enabled === false && admin.port != null) errors.push('admin.port needs admin.enabled');
+  if (admin.port != null) {
+    checkNumber(errors, 'admin.port', admin.port, 1, true);
+    if (admin.port > 65535) errors.push('admin.port must be <= 65535');
+    if (typeof admin.token !== 'string' || admin.token.length < 16) {
+      errors.push('admin.token (16+ characters) is required when admin.port is set');
+    }
+  }
+  const metricsConfig = config.metrics || {};
+  if (metricsConfig.port != null) {
+    checkNumber(errors, 'metrics.port', metricsConfig.port, 1, true);
+    if (metricsConfig.port > 65535) errors.push('metrics.port must be <= 65535');
+    if (metricsConfig.port === config.admin?.port) errors.push('metrics.port must differ from admin.port');
+  }
+  if (typeof metricsConfig.host !== 'string' || !metricsConfig.host.trim()) {
+    errors.push('metrics.host must be a non-empty string');
+  }
+  return errors;
+}
+
+/**
+ * Check a container profile (the global `container` section, or a per-agent
+ * one from agent-config.json merged over it). Returns a list of problems.
+ *
+ * @param {Object} profile - { image?, memoryMb, cpus, pidsLimit, tmpfsSize, env?, network? }
+ * @param {string} [prefix] - Label prefix for error messages
+ */
+function validateContainerProfile(profile, prefix = '') {
+  const errors = [];
+  for (const [key, min, integer] of CONTAINER_NUMERIC_FIELDS) {
+    checkNumber(errors, `${prefix}${key}`, profile[key], min, integer);
+  }
+  if (profile.image !== undefined && (typeof profile.image !== 'string' || !profile.image.trim())) {
+    errors.push(`${prefix}image must be a non-empty string`);
+  }
+  if (typeof profile.tmpfsSize !== 'string' || !/^[1-9][0-9]*[kmg]?$/i.test(profile.tmpfsSize)) {
+    errors.push(`${prefix}tmpfsSize must look like "64m"`);
+  }
+  if (profile.network != null) {
+    if (typeof profile.network !== 'string' || !/^[A-Za-z0-9][A-Za-z0-9_.-]*$/.test(profile.network)) {
+      errors.push(`${prefix}network must be a Docker network name`);
+    } else if (profile.network === 'host') {
+      errors.push(`${prefix}network "host" is not allowed for job containers`);
+    }
+  }
+  if (profile.env != null) {
+    if (typeof profile.env !== 'object' || Array.isArray(profile.env)) {
+      errors.push(`${prefix}env must be an object of NAME: value`);
+    } else {
+      for (const [name, value] of Object.entries(profile.env)) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+          errors.push(`${prefix}env.${name} is not a valid variable name`);
+        } else if (RESERVED_ENV.test(name)) {
+          errors.push(`${prefix}env.${name} is reserved (set by the dispatcher)`);
+        } else if (!['string', 'number', 'boolean'].includes(typeof value)) {
+          errors.push(`${prefix}env.${name} must be a string, number or boolean`);
+        }
+      }
+    }
+  }
+  return errors;
+}
+
+/**
+ * Load config from disk + env. Never throws: a missing file means defaults,
+ * an unreadable one is reported in `errors` so `start` can refuse to run.
+ *
+ * @param {string} configPath - Path to config.json
+ * @param {Object} [env] - Environment to read overrides from
+ * @returns {{ config: Object, errors: string[], sources: string[] }}
+ */
+function loadConfig(configPath, env = process.env) {
+  const errors = [];
+  const sources = ['defaults'];
+  let fileConfig = {};
+
+  if (fs.existsSync(configPath)) {
+    try {
+      fileConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      if (!fileConfig || typeof fileConfig !== 'object' || Array.isArray(fileConfig)) {
+        throw new Error('expected a JSON object');
+      }
+      sources.push(configPath);
+    } catch (e) {
+      errors.push(`${configPath}: ${e.message}`);
+      fileConfig = {};
+    }
+  }
+
+  const config = mergeConfig(structuredClone(DEFAULTS), fileConfig);
+
+  const envUsed = [];
+  for (const [name, [field, type]] of Object.entries(ENV_OVERRIDES)) {
+    const raw = env[name];
+    if (raw == null || raw === '') continue;
+    let value = raw;
+    if (type === 'int') value = Number(raw);
+    if (type === 'float') value = parseFloat(raw);
+    if (type === 'bool') value = raw === 'true' || raw === '1' ? true : raw === 'false' || raw === '0' ? false : raw;
+    setPath(config, field, value);
+    envUsed.push(name);
+  }
+  if (envUsed.length > 0) sources.push(`env (${envUsed.join(', ')})`);
+
+  errors.push(...validateConfig(config));
+  return { config, errors, sources };
+}
+
+/**
+ * Human-readable summary lines for the startup banner.
+ */
+function describeConfig(config) {
+  return [
+    `Max concurrent: ${config.maxAgents}`,
+    `Job timeout: ${config.jobTimeoutMs / 60000} min`,
+    `Max retries: ${config.maxRetries} (${Object.entries(config.retryPolicy).map(([cause, p]) => `${cause} ${p.maxRetries}`).join(', ')})`,
+    `Job intake: ${config.intake === 'push' ? `push (reconcile poll every ${config.reconcileIntervalMs / 1000}s)` : `poll every ${config.pollIntervalMs / 1000}s`}`,
+    `Intervals: cleanup ${config.cleanupIntervalMs / 1000}s, container check ${config.containerCheckIntervalMs / 1000}s, reviews ${config.reviewIntervalMs / 1000}s, status ${config.statusIntervalMs / 1000}s`,
+    `Shutdown grace: ${config.shutdownGraceMs / 1000}s`,
+    `Decline after start failures: ${config.declineAfterStartFailures || 'never'}`,
+    `Signing window: ±${config.signingWindowSec}s`,
+    `Buyer limits: ${config.buyerLimits.maxConcurrent ?? 'no'} concurrent, ${config.buyerLimits.maxPerHour ?? 'no'} per hour`,
+    `Seen-jobs TTL: ${config.seenJobsTtlMs / 86400000} days`,
+    `Job logs: ${config.logs.maxFiles} x ${Math.round(config.logs.maxFileBytes / 1048576)} MB per job, kept ${config.logs.retentionMs / 86400000} days (console: ${config.logs.format})`,
+    `Image: ${config.image}`,
+    `Container limits: ${config.container.memoryMb} MB RAM, ${config.container.cpus} CPU, ${config.container.pidsLimit} PIDs, ${config.container.tmpfsSize} /tmp`,
+    `Container network: ${config.container.network || 'default'}`,
+    `Admin API: ${config.admin.enabled ? `unix socket${config.admin.port ? ` + 127.0.0.1:${config.admin.port}` : ''}` : 'disabled'}`,
+    `Metrics: ${config.metrics.port ? `${config.metrics.host}:${config.metrics.port}/metrics` : 'off'}`,
+  ];
+}
+
+module.exports = {
+  DEFAULTS,
+  RETRY_CAUSES,
+  ENV_OVERRIDES,
+  loadConfig,
+  validateConfig,
+  validateContainerProfile,
+  describeConfig,
+};
@@ -13,8 +13,8 @@ echo "║     OpenClaw Gateway + Attestation        ║"
 echo "╚══════════════════════════════════════════╝"
 echo ""
 
-# Sign creation attestation (if keys and job data available)
-if [ -f /app/keys.json ] && [ -d /app/job ]; then
+# Sign creation attestation (if the dispatcher's signing service is mounted)
+if [ -S /app/job/signer.sock ]; then
   echo "→ Signing creation attestation..."
   node /app/sign-attestation.js creation || echo "⚠️ Creation attestation failed (non-fatal)"
   echo ""
@@ -24,7 +24,7 @@ fi
 cleanup() {
   echo ""
   echo "→ Container stopping, signing deletion attestation..."
-  if [ -f /app/keys.json ] && [ -d /app/job ]; then
+  if [ -S /app/job/signer.sock ]; then
     node /app/sign-attestation.js deletion || echo "⚠️ Deletion attestation failed (non-fatal)"
   fi
   echo "🏁 Container shutdown complete."
@@ -0,0 +1,47 @@
+/**
+ * Job agent exit codes
+ *
+ * Shared by job-agent.js (inside the container) and the dispatcher, which
+ * uses them to classify why a job container stopped and whether to retry.
+ */
+
+const EXIT_CODES = {
+  OK: 0,
+  FATAL: 1, // unclassified error
+  AUTH_FAILED: 10, // could not authenticate with the platform
+  EXECUTOR_INIT_FAILED: 11, // executor.init() threw (job accepted, nothing delivered)
+  FAILED_AFTER_ACCEPT: 12, // job accepted, then failed before delivery
+  DELIVERED_FAILURE: 13, // a "failed" result was delivered — nothing left to retry
+  JOB_NOT_ACTIONABLE: 14, // job is no longer requested/accepted (cancelled, delivered, ...)
+  CANCELLED: 15, // operator cancel handled (cancellation delivered, or job never accepted)
+  TIMEOUT: 124, // container's own job timeout fired
+  SIGTERM: 130,
+};
+
+// Platform job statuses a retried container may pick up without accepting again
+const RESUMABLE_STATUSES = ['accepted', 'in_progress'];
+
+/**
+ * Map a container exit to a retry cause (a key of config.retryPolicy), or
+ * null when there is nothing to retry (success, or a result was delivered).
+ *
+ * @param {{ exitCode: number, oomKilled?: boolean }} exit
+ * @returns {string|null}
+ */
+function classifyExit({ exitCode, oomKilled }) {
+  if (oomKilled) return 'oom';
+  switch (exitCode) {
+    case EXIT_CODES.OK:
+    case EXIT_CODES.DELIVERED_FAILURE:
+    case EXIT_CODES.JOB_NOT_ACTIONABLE:
+    case EXIT_CODES.CANCELLED:
+      return null;
+    case EXIT_CODES.TIMEOUT: return 'timeout';
+    case EXIT_CODES.AUTH_FAILED: return 'auth';
+    case EXIT_CODES.EXECUTOR_INIT_FAILED: return 'executorInit';
+    case EXIT_CODES.FAILED_AFTER_ACCEPT: return 'afterAccept';
+    default: return 'crash';
+  }
+}
+
+module.exports = { EXIT_CODES, RESUMABLE_STATUSES, classifyExit };
@@ -7,22 +7,31 @@
  */
 
 const { VAPAgent } = require('./sdk/dist/index.js');
-const { signMessage } = require('./sdk/dist/identity/signer.js');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { createExecutor, EXECUTOR_TYPE } = require('./executors/index.js');
+const { EXIT_CODES, RESUMABLE_STATUSES } = require('./exit-codes.js');
+const { createSigner } = require('./signer-client.js');
 
 const API_URL = process.env.VAP_API_URL;
 const AGENT_ID = process.env.VAP_AGENT_ID;
 const IDENTITY = process.env.VAP_IDENTITY;
+const I_ADDRESS = process.env.VAP_I_ADDRESS;
 const JOB_ID = process.env.VAP_JOB_ID;
 const TIMEOUT_MS = parseInt(process.env.JOB_TIMEOUT_MS || '3600000');
 const IDLE_TIMEOUT_MS = parseInt(process.env.IDLE_TIMEOUT_MS || '120000'); // 2 min idle → deliver
+const ATTEMPT = parseInt(process.env.VAP_ATTEMPT || '1');
+// Failure causes the dispatcher will still retry for this attempt (e.g. "executorInit,afterAccept").
+// For those we exit without delivering so the retry can resume the job; otherwise we deliver "failed".
+const RETRYABLE = new Set((process.env.VAP_RETRYABLE || '').split(',').filter(Boolean));
 
-const KEYS_FILE = '/app/keys.json';
 const SOUL_FILE = '/app/SOUL.md';
 const JOB_DIR = '/app/job';
+// Written by `vap-dispatcher cancel` before it sends SIGUSR2: { reason, requestedAt }
+const CANCEL_FILE = path.join(JOB_DIR, 'cancel.json');
+// Read by the dispatcher for its job ledger before the job dir is deleted
+const RESULT_FILE = path.join(JOB_DIR, 'job-result.json');
 
 // Container metadata (from Docker labels)
 const CONTAINER_ID = process.env.HOSTNAME || 'unknown'; // Docker sets HOSTNAME to container ID
@@ -35,6 +44,41 @@ function sanitizeInput(input) {
     .substring(0, 10000); // Limit length to prevent DoS
 }
 
+// Merge facts only this container knows (deliver hash, attestation status)
+// into RESULT_FILE. Best effort — never fails the job.
+function recordResult(fields) {
+  try {
+    let current = {};
+    try {
+      current = JSON.parse(fs.readFileSync(RESULT_FILE, 'utf8'));
+    } catch {
+      // first write
+    }
+    fs.writeFileSync(RESULT_FILE, JSON.stringify({ ...current, executor: EXECUTOR_TYPE, attempt: ATTEMPT, ...fields }, null, 2));
+  } catch {
+    // job dir not writable
+  }
+}
+
+// The agent's key stays in the dispatcher; it signs for this job over a
+// unix socket in the job dir
+const signer = createSigner();
+
+function createAgent() {
+  return new VAPAgent({
+    vapUrl: API_URL,
+    identityName: IDENTITY,
+    iAddress: I_ADDRESS,
+  });
+}
+
+// Log in without the WIF: the signing service fetches and signs a login
+// challenge, and we complete the login with it. Chat uses the resulting session.
+async function authenticate(agent) {
+  const { challengeId, signature } = await signer.login();
+  await agent.client.login(challengeId, IDENTITY, signature);
+}
+
 // Retry helper with exponential backoff for transient API failures
 async function withRetry(fn, label, { maxAttempts = 3, baseDelayMs = 1000 } = {}) {
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
@@ -53,6 +97,11 @@ async function withRetry(fn, label, { maxAttempts = 3, baseDelayMs = 1000 } = {}
 // Track agent+executor globally for SIGTERM cleanup
 let _agent = null;
 let _executor = null;
+let _accepted = false;
+let _accepting = null; // acceptJob in flight — a cancel waits for it before deciding
+let _fullJob = null;
+let _delivering = false; // a delivery is under way — a cancel can no longer replace it
+let _cancelling = false;
 
 async function main() {
   // Check for required environment variables
@@ -65,6 +114,7 @@ async function main() {
     console.log('  VAP_AGENT_ID     Agent identifier (e.g., agent-1)');
     console.log('  VAP_JOB_ID       Job ID from platform');
     console.log('  VAP_IDENTITY     Verus identity (e.g., ari1.agentplatform@)');
+    console.log('  VAP_I_ADDRESS    Identity i-address');
     console.log('  VAP_API_URL      API endpoint (default: https://api.autobb.app)');
     console.log('\nOptional:');
     console.log('  VAP_EXECUTOR       Executor type: local-llm (default), webhook, langserve, langgraph, a2a, mcp');
@@ -77,7 +127,8 @@ async function main() {
     console.log('  VAP_MCP_COMMAND    MCP server command (mcp executor, stdio)');
     console.log('  VAP_MCP_URL        MCP server URL (mcp executor, HTTP)');
     console.log('  IDLE_TIMEOUT_MS    Idle timeout before auto-deliver (default: 120000)');
-    console.log('\nThis container is spawned by vap-dispatcher for each job.');
+    console.log('\nThis container is spawned by vap-dispatcher for each job, which signs');
+    console.log('for it over /app/job/signer.sock (the container never holds the key).');
     process.exit(0);
   }
 
@@ -90,11 +141,9 @@ async function main() {
   console.log(`Identity: ${IDENTITY}`);
   console.log(`Container: ${CONTAINER_ID.substring(0, 12)}`);
   console.log(`Timeout: ${TIMEOUT_MS / 60000} min`);
+  console.log(`Attempt: ${ATTEMPT}`);
   console.log(`Executor: ${EXECUTOR_TYPE}\n`);
 
-  // Load keys
-  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
-
   // Load SOUL personality
   let soulPrompt = '';
   try {
@@ -118,25 +167,23 @@ async function main() {
   console.log(`  Payment: ${job.amount} ${job.currency}\n`);
 
   // Initialize agent
-  const agent = new VAPAgent({
-    vapUrl: API_URL,
-    wif: keys.wif,
-    identityName: IDENTITY,
-    iAddress: keys.iAddress,
-  });
+  const agent = createAgent();
   _agent = agent;
 
-  // Establish authenticated API session via SDK login
-  await withRetry(() => agent.authenticate(), 'authenticate');
+  // Establish authenticated API session (challenge signed by the dispatcher)
+  try {
+    await withRetry(() => authenticate(agent), 'authenticate');
+  } catch (e) {
+    console.error('❌ Authentication failed:', e.message);
+    process.exit(EXIT_CODES.AUTH_FAILED);
+  }
   console.log('✅ Agent logged in\n');
 
   const creationTime = new Date().toISOString();
 
   // ─────────────────────────────────────────
-  // STEP 1: ACCEPT JOB (sign + submit)
+  // STEP 1: ACCEPT JOB (sign + submit) — or resume if a previous attempt accepted it
   // ─────────────────────────────────────────
-  console.log('→ Accepting job...');
-
   const timestamp = Math.floor(Date.now() / 1000);
 
   // Fetch canonical job data and build acceptance message
@@ -144,11 +191,24 @@ async function main() {
   if (!fullJob || !fullJob.jobHash || !fullJob.buyerVerusId) {
     throw new Error(`Invalid job data from API for ${job.id}: missing jobHash or buyerVerusId`);
   }
-  const acceptMessage = `VAP-ACCEPT|Job:${fullJob.jobHash}|Buyer:${fullJob.buyerVerusId}|Amt:${fullJob.amount} ${fullJob.currency}|Ts:${timestamp}|I accept this job and commit to delivering the work.`;
-  const acceptSig = signMessage(keys.wif, acceptMessage, 'verustest');
+  _fullJob = fullJob;
 
-  await withRetry(() => agent.client.acceptJob(job.id, acceptSig, timestamp), 'acceptJob');
-  console.log('✅ Job accepted\n');
+  if (RESUMABLE_STATUSES.includes(fullJob.status)) {
+    console.log(`↻ Job already ${fullJob.status} — resuming without re-accepting\n`);
+  } else if (fullJob.status && fullJob.status !== 'requested') {
+    console.log(`⚠️  Job is ${fullJob.status} — nothing to do`);
+    agent.stop();
+    process.exit(EXIT_CODES.JOB_NOT_ACTIONABLE);
+  } else {
+    console.log('→ Accepting job...');
+    const acceptMessage = `VAP-ACCEPT|Job:${fullJob.jobHash}|Buyer:${fullJob.buyerVerusId}|Amt:${fullJob.amount} ${fullJob.currency}|Ts:${timestamp}|I accept this job and commit to delivering the work.`;
+    const acceptSig = await signer.sign('accept', acceptMessage);
+
+    _accepting = withRetry(() => agent.client.acceptJob(job.id, acceptSig, timestamp), 'acceptJob');
+    await _accepting;
+    console.log('✅ Job accepted\n');
+  }
+  _accepted = true;
 
   // Connect to chat (guarded — job is already accepted, must not crash without delivery)
   try {
@@ -156,18 +216,26 @@ async function main() {
     console.log('✅ Connected to SafeChat\n');
   } catch (chatErr) {
     console.error('❌ Chat connection failed after job acceptance:', chatErr.message);
+    if (RETRYABLE.has('afterAccept')) {
+      console.log('↻ Leaving job accepted for the dispatcher to retry');
+      agent.stop();
+      process.exit(EXIT_CODES.FAILED_AFTER_ACCEPT);
+    }
     // Deliver a "failed" result so the accepted job isn't left in limbo
+    if (_cancelling) return; // the cancel handler delivers instead
+    _delivering = true;
     const deliverTimestamp = Math.floor(Date.now() / 1000);
     const deliverMessage = `VAP-DELIVER|Job:${fullJob.jobHash}|Delivery:failed|Ts:${deliverTimestamp}|I have delivered the work for this job.`;
-    const deliverSig = signMessage(keys.wif, deliverMessage, 'verustest');
+    const deliverSig = await signer.sign('deliver', deliverMessage);
     await withRetry(
       () => agent.client.deliverJob(job.id, 'failed', deliverSig, deliverTimestamp, 'Chat connection failed — could not process job'),
       'deliverJob-chatfail',
       { maxAttempts: 5, baseDelayMs: 2000 }
     );
     console.log('✅ Delivered failure result');
+    recordResult({ deliverHash: 'failed', deliveredAt: new Date().toISOString() });
     agent.stop();
-    process.exit(1);
+    process.exit(EXIT_CODES.DELIVERED_FAILURE);
   }
 
   // Explicitly join this job's chat room
@@ -208,17 +276,24 @@ async function main() {
   } catch (e) {
     console.error('\n❌ Job failed:', e.message);
     await executor.cleanup().catch(() => {});
+    if (e.code === 'EXECUTOR_INIT' && RETRYABLE.has('executorInit')) {
+      console.log('↻ Executor init failed — leaving job accepted for the dispatcher to retry');
+      agent.stop();
+      process.exit(EXIT_CODES.EXECUTOR_INIT_FAILED);
+    }
     result = { error: e.message, content: 'Job failed: ' + e.message };
   }
 
   // ─────────────────────────────────────────
   // STEP 3: DELIVER RESULT
   // ─────────────────────────────────────────
+  if (_cancelling) return; // the cancel handler delivers instead
+  _delivering = true;
   console.log('→ Delivering result...');
   const deliverTimestamp = Math.floor(Date.now() / 1000);
   const deliverHash = result.hash || 'failed';
   const deliverMessage = `VAP-DELIVER|Job:${fullJob.jobHash}|Delivery:${deliverHash}|Ts:${deliverTimestamp}|I have delivered the work for this job.`;
-  const deliverSig = signMessage(keys.wif, deliverMessage, 'verustest');
+  const deliverSig = await signer.sign('deliver', deliverMessage);
 
   await withRetry(
     () => agent.client.deliverJob(job.id, deliverHash, deliverSig, deliverTimestamp, result.content.substring(0, 200)),
@@ -226,6 +301,7 @@ async function main() {
     { maxAttempts: 5, baseDelayMs: 2000 }
   );
   console.log('✅ Job delivered\n');
+  recordResult({ deliverHash, deliveredAt: new Date().toISOString() });
 
   // Wait for chat to flush
   await new Promise(r => setTimeout(r, 3000));
@@ -242,7 +318,7 @@ async function main() {
   try {
     const { message: attestMessage, timestamp: attestTs } =
       await agent.client.getDeletionAttestationMessage(JOB_ID, attestTimestamp);
-    const attestSig = signMessage(keys.wif, attestMessage, 'verustest');
+    const attestSig = await signer.sign('attestation', attestMessage, attestTs);
 
     // Save attestation locally
     fs.writeFileSync(
@@ -252,8 +328,10 @@ async function main() {
 
     const result = await agent.client.submitDeletionAttestation(JOB_ID, attestSig, attestTs);
     console.log(`✅ Deletion attestation submitted (verified: ${result.signatureVerified})\n`);
+    recordResult({ attestation: 'submitted', attestationVerified: !!result.signatureVerified });
   } catch (e) {
     console.log('⚠️  Could not submit attestation:', e.message);
+    recordResult({ attestation: 'failed' });
   }
 
   console.log('🏁 Job complete with privacy attestation. Container will be destroyed.');
@@ -288,7 +366,12 @@ async function processJob(job, agent, soulPrompt, executor, registerSessionEndRe
   });
 
   // Initialize executor (sends greeting, sets up state)
-  await executor.init(job, agent, soulPrompt);
+  try {
+    await executor.init(job, agent, soulPrompt);
+  } catch (e) {
+    e.code = 'EXECUTOR_INIT';
+    throw e;
+  }
 
   // Handle incoming messages — delegate to executor (J4: serialized via queue)
   agent.onChatMessage((jobId, msg) => {
@@ -344,28 +427,102 @@ process.on('SIGTERM', async () => {
     if (_executor) await _executor.cleanup().catch(() => {});
 
     // Submit deletion attestation
-    const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
     const attestTimestamp = Math.floor(Date.now() / 1000);
     try {
       if (_agent) {
         const { message: attestMessage } = await _agent.client.getDeletionAttestationMessage(JOB_ID, attestTimestamp);
-        const attestSig = signMessage(keys.wif, attestMessage, 'verustest');
+        const attestSig = await signer.sign('attestation', attestMessage, attestTimestamp);
         fs.writeFileSync(
           path.join(JOB_DIR, 'deletion-attestation-sigterm.json'),
           JSON.stringify({ jobId: JOB_ID, message: attestMessage, signature: attestSig, timestamp: attestTimestamp }, null, 2)
         );
         await _agent.client.submitDeletionAttestation(JOB_ID, attestSig, attestTimestamp);
         console.log('✅ SIGTERM attestation submitted');
+        recordResult({ attestation: 'submitted' });
       }
     } catch (e) {
       console.error('⚠️  SIGTERM attestation failed:', e.message);
+      recordResult({ attestation: 'failed' });
     }
 
     if (_agent) _agent.stop();
   } catch (e) {
     console.error('SIGTERM cleanup error:', e.message);
   }
-  process.exit(130);
+  process.exit(EXIT_CODES.SIGTERM);
+});
+
+// Operator cancel: the dispatcher writes CANCEL_FILE and sends SIGUSR2
+// (not SIGUSR1, which Node reserves for starting the inspector).
+// Clean up the executor, deliver a signed "failed" result carrying the
+// reason, submit the deletion attestation and exit with CANCELLED.
+process.on('SIGUSR2', async () => {
+  if (_cancelling) return;
+  if (_delivering) {
+    console.log('🛑 Cancel requested, but delivery is already under way — finishing normally');
+    return;
+  }
+  _cancelling = true;
+
+  let reason = 'Cancelled by the provider';
+  try {
+    const request = JSON.parse(fs.readFileSync(CANCEL_FILE, 'utf8'));
+    if (request.reason) reason = sanitizeInput(String(request.reason)).substring(0, 200);
+  } catch {
+    // no control file — use the default reason
+  }
+  console.log(`🛑 Cancel requested — ${reason}`);
+
+  try {
+    if (_executor) await _executor.cleanup().catch(() => {});
+
+    // An accept already sent may still land — the buyer then needs a delivery
+    const accepted = _accepted || (_accepting && await _accepting.then(() => true, () => false));
+    if (!accepted || !_agent || !_fullJob) {
+      console.log('   Job was not accepted yet — nothing to deliver');
+      if (_agent) _agent.stop();
+      process.exit(EXIT_CODES.CANCELLED);
+    }
+
+    try {
+      _agent.sendChatMessage(JOB_ID, `This job has been cancelled by the provider: ${reason}`);
+    } catch {
+      // chat may not be connected
+    }
+
+    const deliverTimestamp = Math.floor(Date.now() / 1000);
+    const deliverMessage = `VAP-DELIVER|Job:${_fullJob.jobHash}|Delivery:failed|Ts:${deliverTimestamp}|I have delivered the work for this job.`;
+    const deliverSig = await signer.sign('deliver', deliverMessage);
+    await withRetry(
+      () => _agent.client.deliverJob(JOB_ID, 'failed', deliverSig, deliverTimestamp, `Cancelled: ${reason}`),
+      'deliverJob-cancel',
+      { maxAttempts: 5, baseDelayMs: 2000 }
+    );
+    console.log('✅ Delivered cancellation result');
+    recordResult({ deliverHash: 'failed', deliveredAt: new Date().toISOString(), cancelled: true, cancelReason: reason });
+
+    const attestTimestamp = Math.floor(Date.now() / 1000);
+    try {
+      const { message: attestMessage, timestamp: attestTs } =
+        await _agent.client.getDeletionAttestationMessage(JOB_ID, attestTimestamp);
+      const attestSig = await signer.sign('attestation', attestMessage, attestTs);
+      fs.writeFileSync(
+        path.join(JOB_DIR, 'deletion-attestation.json'),
+        JSON.stringify({ jobId: JOB_ID, message: attestMessage, signature: attestSig, timestamp: attestTs }, null, 2)
+      );
+      const result = await _agent.client.submitDeletionAttestation(JOB_ID, attestSig, attestTs);
+      console.log(`✅ Deletion attestation submitted (verified: ${result.signatureVerified})`);
+      recordResult({ attestation: 'submitted', attestationVerified: !!result.signatureVerified });
+    } catch (e) {
+      console.error('⚠️  Cancel attestation failed:', e.message);
+      recordResult({ attestation: 'failed' });
+    }
+  } catch (e) {
+    console.error('⚠️  Cancel wrap-up failed:', e.message);
+  }
+
+  if (_agent) _agent.stop();
+  process.exit(EXIT_CODES.CANCELLED);
 });
 
 // Timeout protection (J4: also submit attestation to API, not just disk)
@@ -373,22 +530,14 @@ setTimeout(async () => {
   console.error('⏰ Job timeout! Signing deletion attestation and exiting.');
 
   try {
-    const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
     const attestTimestamp = Math.floor(Date.now() / 1000);
 
     // Try to use the platform's canonical attestation flow (J4)
     try {
-      const { VAPAgent } = require('./sdk/dist/index.js');
-      const agent = new VAPAgent({
-        vapUrl: API_URL,
-        wif: keys.wif,
-        identityName: IDENTITY,
-        iAddress: keys.iAddress,
-      });
-      await agent.authenticate();
+      const agent = createAgent();
+      await authenticate(agent);
       const { message: attestMessage } = await agent.client.getDeletionAttestationMessage(JOB_ID, attestTimestamp);
-      const { signMessage: signMsg } = require('./sdk/dist/identity/signer.js');
-      const attestSig = signMsg(keys.wif, attestMessage, 'verustest');
+      const attestSig = await signer.sign('attestation', attestMessage, attestTimestamp);
 
       fs.writeFileSync(
         path.join(JOB_DIR, 'deletion-attestation-timeout.json'),
@@ -397,6 +546,7 @@ setTimeout(async () => {
 
       const result = await agent.client.submitDeletionAttestation(JOB_ID, attestSig, attestTimestamp);
       console.log(`✅ Timeout attestation submitted (verified: ${result.signatureVerified})`);
+      recordResult({ attestation: 'submitted', attestationVerified: !!result.signatureVerified });
       agent.stop();
     } catch (apiErr) {
       // Fallback: sign locally and save to disk only
@@ -407,21 +557,21 @@ setTimeout(async () => {
         destroyedAt: new Date().toISOString(),
         deletionMethod: 'timeout',
       };
-      const { signMessage: signMsg } = require('./sdk/dist/identity/signer.js');
-      deletionAttestation.signature = signMsg(keys.wif, JSON.stringify(deletionAttestation), 'verustest');
+      deletionAttestation.signature = await signer.sign('attestation', JSON.stringify(deletionAttestation));
       fs.writeFileSync(
         path.join(JOB_DIR, 'deletion-attestation-timeout.json'),
         JSON.stringify(deletionAttestation, null, 2)
       );
+      recordResult({ attestation: 'signed-local' });
     }
   } catch (e) {
     console.error('Could not sign timeout attestation:', e.message);
   }
 
-  process.exit(1);
+  process.exit(EXIT_CODES.TIMEOUT);
 }, TIMEOUT_MS);
 
 main().catch(e => {
   console.error('❌ Fatal error:', e);
-  process.exit(1);
+  process.exit(_accepted ? EXIT_CODES.FAILED_AFTER_ACCEPT : EXIT_CODES.FATAL);
 });
@@ -0,0 +1,126 @@
+/**
+ * Encrypted agent key files
+ *
+ * An encrypted keys.json keeps its public fields (address, identity,
+ * iAddress, network, ...) in the clear and replaces `wif` with
+ * `encryptedWif`: the WIF sealed with AES-256-GCM under a scrypt key
+ * derived from the dispatcher passphrase. The agent's address is bound in as
+ * associated data, so a sealed WIF can't be moved to another agent's file.
+ *
+ * The passphrase comes from VAP_KEYS_PASSPHRASE, the file named by
+ * VAP_KEYS_PASSPHRASE_FILE, or a terminal prompt, in that order. Decrypted
+ * keys only ever live in memory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const readline = require('readline');
+
+const SCRYPT = { N: 1 << 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_BYTES = 32;
+
+const isEncryptedKeys = (keys) => !!keys?.encryptedWif;
+
+function deriveKey(passphrase, salt, { N, r, p }) {
+  return crypto.scryptSync(passphrase, salt, KEY_BYTES, { N, r, p, maxmem: SCRYPT_MAXMEM });
+}
+
+/**
+ * Seal a key file's WIF. Returns the encrypted form of `keys`.
+ *
+ * @param {Object} keys - Plain keys ({ wif, address, ... })
+ * @param {string} passphrase
+ */
+function encryptKeys(keys, passphrase) {
+  const { wif, ...rest } = keys;
+  if (!wif) throw new Error('Key file has no WIF to encrypt');
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(passphrase, salt, SCRYPT), iv);
+  cipher.setAAD(Buffer.from(String(keys.address || '')));
+  const data = Buffer.concat([cipher.update(wif, 'utf8'), cipher.final()]);
+  return {
+    ...rest,
+    encryptedWif: {
+      version: 1,
+      kdf: 'scrypt',
+      ...SCRYPT,
+      salt: salt.toString('hex'),
+      cipher: 'aes-256-gcm',
+      iv: iv.toString('hex'),
+      tag: cipher.getAuthTag().toString('hex'),
+      data: data.toString('hex'),
+    },
+  };
+}
+
+/**
+ * Open an encrypted key file. Returns the plain keys (with `wif`).
+ * Throws if the passphrase is wrong or the file was altered.
+ *
+ * @param {Object} keys - Encrypted keys ({ encryptedWif, address, ... })
+ * @param {string} passphrase
+ */
+function decryptKeys(keys, passphrase) {
+  const { encryptedWif: sealed, ...rest } = keys;
+  if (sealed.version !== 1 || sealed.kdf !== 'scrypt' || sealed.cipher !== 'aes-256-gcm') {
+    throw new Error(`Unsupported key encryption (version ${sealed.version}, ${sealed.kdf}/${sealed.cipher})`);
+  }
+  const key = deriveKey(passphrase, Buffer.from(sealed.salt, 'hex'), sealed);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(sealed.iv, 'hex'));
+  decipher.setAAD(Buffer.from(String(keys.address || '')));
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'hex'));
+  try {
+    const wif = Buffer.concat([decipher.update(Buffer.from(sealed.data, 'hex')), decipher.final()]).toString('utf8');
+    return { ...rest, wif };
+  } catch {
+    throw new Error('Wrong passphrase or damaged key file');
+  }
+}
+
+// Read a line from the terminal without echoing it
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    process.stdout.write(question);
+    rl._writeToOutput = () => {};
+    rl.question('', (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
+/**
+ * Get the keys passphrase from the environment, a keyfile or the terminal.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.confirm] - Prompt twice (setting a new passphrase)
+ * @returns {Promise<string>}
+ */
+async function readPassphrase({ confirm = false } = {}) {
+  if (process.env.VAP_KEYS_PASSPHRASE) return process.env.VAP_KEYS_PASSPHRASE;
+  if (process.env.VAP_KEYS_PASSPHRASE_FILE) {
+    const passphrase = fs.readFileSync(process.env.VAP_KEYS_PASSPHRASE_FILE, 'utf8').replace(/\r?\n$/, '');
+    if (!passphrase) throw new Error(`${process.env.VAP_KEYS_PASSPHRASE_FILE} is empty`);
+    return passphrase;
+  }
+  if (!process.stdin.isTTY) {
+    throw new Error('Agent keys are encrypted: set VAP_KEYS_PASSPHRASE or VAP_KEYS_PASSPHRASE_FILE, or run from a terminal');
+  }
+  const passphrase = await promptHidden('Keys passphrase: ');
+  if (!passphrase) throw new Error('Empty passphrase');
+  if (confirm && await promptHidden('Repeat passphrase: ') !== passphrase) {
+    throw new Error('Passphrases do not match');
+  }
+  return passphrase;
+}
+
+module.exports = {
+  isEncryptedKeys,
+  encryptKeys,
+  decryptKeys,
+  readPassphrase,
+};
@@ -0,0 +1,173 @@
+/**
+ * Job ledger
+ *
+ * Append-only JSON lines file (~/.vap/dispatcher/ledger.jsonl), one record
+ * per finished job. Written by the dispatcher when a job reaches its final
+ * outcome; read by `jobs history` and the reports. Records are never
+ * rewritten — a re-dispatched job gets a second record.
+ */
+
+const fs = require('fs');
+
+/**
+ * Columns for CSV export, in order.
+ */
+const LEDGER_COLUMNS = [
+  'jobId', 'agentId', 'buyer', 'amount', 'currency', 'service',
+  'startedAt', 'endedAt', 'durationSec', 'attempts', 'exitCode',
+  'outcome', 'cause', 'executor', 'deliverHash', 'attestation',
+];
+
+function appendLedger(ledgerPath, record) {
+  fs.appendFileSync(ledgerPath, JSON.stringify(record) + '\n', { mode: 0o600 });
+}
+
+/**
+ * Read every ledger record, oldest first. Unparseable lines (e.g. a torn
+ * write from a crash) are skipped.
+ */
+function readLedger(ledgerPath) {
+  if (!fs.existsSync(ledgerPath)) return [];
+  const records = [];
+  for (const line of fs.readFileSync(ledgerPath, 'utf8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      records.push(JSON.parse(line));
+    } catch {
+      // skip torn line
+    }
+  }
+  return records;
+}
+
+/**
+ * Filter ledger records.
+ *
+ * @param {Object[]} records
+ * @param {Object} filters
+ * @param {string} [filters.agent]
+ * @param {string} [filters.buyer]
+ * @param {number} [filters.fromMs] - endedAt >= fromMs
+ * @param {number} [filters.toMs] - endedAt < toMs
+ * @param {string} [filters.outcome] - completed | failed | declined
+ */
+function filterLedger(records, { agent, buyer, fromMs, toMs, outcome } = {}) {
+  return records.filter(r => {
+    if (agent && r.agentId !== agent) return false;
+    if (buyer && r.buyer !== buyer) return false;
+    if (outcome && r.outcome !== outcome) return false;
+    const endedMs = Date.parse(r.endedAt);
+    if (fromMs != null && !(endedMs >= fromMs)) return false;
+    if (toMs != null && !(endedMs < toMs)) return false;
+    return true;
+  });
+}
+
+// Dimensions `report earnings` can group by; currency is always included
+// so amounts in different currencies are never added together
+const EARNINGS_DIMENSIONS = ['agent', 'currency', 'service', 'period'];
+const PERIODS = ['day', 'week', 'month'];
+
+// ISO 8601 week label (e.g. 2026-W42) for a UTC date
+function isoWeek(date) {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day); // Thursday of this week decides the year
+  const yearStart = new Date(Date.UTC(d.getUTCFullYear(), 0, 1));
+  const week = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+function periodKey(iso, period) {
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return 'unknown';
+  if (period === 'week') return isoWeek(date);
+  if (period === 'month') return date.toISOString().slice(0, 7);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * How a ledger record counts for earnings: delivered (completed with a real
+ * deliverable), cancelled, or failed (everything else, including a
+ * delivered "failed" result).
+ */
+function earningsStatus(record) {
+  if (record.cause === 'cancelled') return 'cancelled';
+  if (record.outcome === 'completed' && record.deliverHash !== 'failed') return 'delivered';
+  return 'failed';
+}
+
+/**
+ * Aggregate ledger records into earnings rows.
+ *
+ * @param {Object[]} records - Ledger records (already filtered)
+ * @param {Object} options
+ * @param {string[]} options.by - Subset of EARNINGS_DIMENSIONS
+ * @param {string} [options.period] - day | week | month (when grouping by period)
+ * @returns {Object[]} Rows: the group keys plus delivered/failed/cancelled job counts and amounts
+ */
+function aggregateEarnings(records, { by, period = 'month' }) {
+  const dims = EARNINGS_DIMENSIONS.filter(d => d === 'currency' || by.includes(d));
+  const groups = new Map();
+
+  for (const record of records) {
+    if (record.outcome === 'declined') continue; // never worked on
+    const keys = {
+      agent: record.agentId,
+      currency: record.currency || 'unknown',
+      service: record.service || 'unspecified',
+      period: periodKey(record.endedAt, period),
+    };
+    const groupKey = JSON.stringify(dims.map(d => keys[d]));
+    let row = groups.get(groupKey);
+    if (!row) {
+      row = Object.fromEntries(dims.map(d => [d, keys[d]]));
+      Object.assign(row, {
+        deliveredJobs: 0, deliveredAmount: 0,
+        failedJobs: 0, failedAmount: 0,
+        cancelledJobs: 0, cancelledAmount: 0,
+      });
+      groups.set(groupKey, row);
+    }
+    const status = earningsStatus(record);
+    const amount = parseFloat(record.amount);
+    row[`${status}Jobs`]++;
+    if (Number.isFinite(amount)) row[`${status}Amount`] += amount;
+  }
+
+  const rows = [...groups.values()];
+  // Round away float noise (amounts are in coin units, 8 decimals)
+  for (const row of rows) {
+    for (const field of ['deliveredAmount', 'failedAmount', 'cancelledAmount']) {
+      row[field] = Math.round(row[field] * 1e8) / 1e8;
+    }
+  }
+  return rows.sort((a, b) => dims.map(d => String(a[d]).localeCompare(String(b[d]))).find(c => c !== 0) || 0);
+}
+
+function csvCell(value) {
+  if (value == null) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header line.
+ *
+ * @param {Object[]} rows
+ * @param {string[]} columns
+ */
+function toCsv(rows, columns) {
+  return [columns.join(','), ...rows.map(row => columns.map(col => csvCell(row[col])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  LEDGER_COLUMNS,
+  EARNINGS_DIMENSIONS,
+  PERIODS,
+  appendLedger,
+  readLedger,
+  filterLedger,
+  aggregateEarnings,
+  toCsv,
+};
@@ -0,0 +1,238 @@
+/**
+ * Dispatcher logging
+ *
+ * - Optional JSON output: installJsonConsole() turns every console.* call in
+ *   the dispatcher into one JSON object per line ({ ts, level, tag?, msg }).
+ * - Job container output: lineSplitter() reassembles lines from demuxed
+ *   stdout/stderr chunks, logJobLine() prints them in the active format.
+ * - Per-job log files in the retained logs dir (<job-id>.log), rotated by
+ *   size and pruned by age. Lines are "<ISO time> <stream> <text>", where
+ *   stream is stdout, stderr or dispatcher. Each job being written to keeps
+ *   one append stream open, with its size tracked in memory; streams idle
+ *   for JOB_LOG_IDLE_MS are closed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+
+const CONSOLE_LEVELS = { log: 'info', info: 'info', warn: 'warn', error: 'error' };
+const JOB_LOG_LINE = /^(\S+) (stdout|stderr|dispatcher) (.*)$/;
+const JOB_LOG_IDLE_MS = 60 * 1000;
+
+let jsonMode = false;
+const jobLogWriters = new Map(); // file -> { stream, size, lastWrite }
+let idleSweep = null;
+
+function toRecord(level, text, extra = {}) {
+  const msg = text.trim();
+  const tag = msg.match(/^\[([A-Za-z]+)\]\s*/);
+  return {
+    ts: new Date().toISOString(),
+    level,
+    ...(tag ? { tag: tag[1] } : {}),
+    msg: tag ? msg.slice(tag[0].length) : msg,
+    ...extra,
+  };
+}
+
+/**
+ * Replace console.log/info/warn/error with JSON-lines writers (stdout for
+ * info, stderr for warn/error). Blank lines (banner spacing) are dropped.
+ */
+function installJsonConsole() {
+  jsonMode = true;
+  for (const [method, level] of Object.entries(CONSOLE_LEVELS)) {
+    const out = level === 'info' ? process.stdout : process.stderr;
+    console[method] = (...args) => {
+      const text = util.format(...args);
+      if (!text.trim()) return;
+      out.write(JSON.stringify(toRecord(level, text)) + '\n');
+    };
+  }
+}
+
+/**
+ * Print one line of job container output.
+ *
+ * @param {string} jobId
+ * @param {'stdout'|'stderr'} stream
+ * @param {string} line
+ */
+function logJobLine(jobId, stream, line) {
+  if (jsonMode) {
+    const out = stream === 'stderr' ? process.stderr : process.stdout;
+    out.write(JSON.stringify(toRecord(stream === 'stderr' ? 'warn' : 'info', line, { jobId, stream })) + '\n');
+    return;
+  }
+  const prefix = `  [${jobId.substring(0, 8)}]`;
+  if (stream === 'stderr') {
+    console.error(`${prefix} ${line}`);
+  } else {
+    console.log(`${prefix} ${line}`);
+  }
+}
+
+/**
+ * Collects chunks into complete lines; the last partial line is held until
+ * more data arrives or flush() is called.
+ */
+function lineSplitter(onLine) {
+  let partial = '';
+  const emit = (raw) => {
+    const line = raw.replace(/\r$/, '');
+    if (line.trim()) onLine(line);
+  };
+  return {
+    push(chunk) {
+      const lines = (partial + chunk.toString('utf8')).split('\n');
+      partial = lines.pop();
+      lines.forEach(emit);
+    },
+    flush() {
+      emit(partial);
+      partial = '';
+    },
+  };
+}
+
+function jobLogPath(logsDir, jobId) {
+  return path.join(logsDir, `${jobId}.log`);
+}
+
+// <job-id>.log -> .log.1 -> ... -> .log.<maxFiles-1>; the oldest is dropped
+function rotateJobLog(file, maxFiles) {
+  for (let i = maxFiles - 1; i >= 1; i--) {
+    const from = i === 1 ? file : `${file}.${i - 1}`;
+    if (fs.existsSync(from)) fs.renameSync(from, `${file}.${i}`);
+  }
+  if (maxFiles <= 1) fs.rmSync(file, { force: true });
+}
+
+function closeJobLogWriter(file) {
+  const writer = jobLogWriters.get(file);
+  if (!writer) return Promise.resolve();
+  jobLogWriters.delete(file);
+  if (jobLogWriters.size === 0) {
+    clearInterval(idleSweep);
+    idleSweep = null;
+  }
+  return new Promise(resolve => writer.stream.end(resolve));
+}
+
+function openJobLogWriter(file) {
+  // Opened synchronously so the file exists for a rotation right behind it
+  const fd = fs.openSync(file, 'a', 0o600);
+  const stream = fs.createWriteStream(null, { fd });
+  const writer = { stream, size: fs.fstatSync(fd).size, lastWrite: Date.now() };
+  // A write error (full disk, logs dir removed) drops the stream; the next
+  // line opens a fresh one
+  stream.on('error', () => {
+    if (jobLogWriters.get(file) === writer) jobLogWriters.delete(file);
+  });
+  jobLogWriters.set(file, writer);
+  if (!idleSweep) {
+    idleSweep = setInterval(() => {
+      const cutoff = Date.now() - JOB_LOG_IDLE_MS;
+      for (const [f, w] of jobLogWriters) {
+        if (w.lastWrite < cutoff) closeJobLogWriter(f);
+      }
+    }, JOB_LOG_IDLE_MS);
+    idleSweep.unref();
+  }
+  return writer;
+}
+
+/**
+ * Append one line to a job's log file, rotating first if it is over size.
+ * Never throws — a full disk must not take the dispatcher down.
+ *
+ * @param {string} logsDir
+ * @param {string} jobId - Must already be validated (used as a file name)
+ * @param {'stdout'|'stderr'|'dispatcher'} stream
+ * @param {string} line
+ * @param {{ maxFileBytes: number, maxFiles: number }} limits
+ */
+function appendJobLog(logsDir, jobId, stream, line, { maxFileBytes, maxFiles }) {
+  const file = jobLogPath(logsDir, jobId);
+  try {
+    let writer = jobLogWriters.get(file) || openJobLogWriter(file);
+    if (writer.size >= maxFileBytes) {
+      // Renaming under the open stream is fine: its pending writes follow
+      // the file to .log.1
+      closeJobLogWriter(file);
+      rotateJobLog(file, maxFiles);
+      writer = openJobLogWriter(file);
+    }
+    const text = `${new Date().toISOString()} ${stream} ${line.replace(/\n/g, ' ')}\n`;
+    writer.stream.write(text);
+    writer.size += Buffer.byteLength(text);
+    writer.lastWrite = Date.now();
+  } catch {
+    // best effort
+  }
+}
+
+/**
+ * Flush and close every open job log stream (before the process exits).
+ *
+ * @returns {Promise<void>}
+ */
+function closeJobLogs() {
+  return Promise.all([...jobLogWriters.keys()].map(closeJobLogWriter)).then(() => {});
+}
+
+/**
+ * Read a job's log files, oldest rotation first, as { ts, stream, line } records.
+ */
+function readJobLog(logsDir, jobId) {
+  const file = jobLogPath(logsDir, jobId);
+  const rotations = fs.readdirSync(logsDir)
+    .map(name => name.match(/\.log\.(\d+)$/) && name.startsWith(`${jobId}.log.`) ? parseInt(name.slice(jobId.length + 5), 10) : null)
+    .filter(n => n !== null)
+    .sort((a, b) => b - a)
+    .map(n => `${file}.${n}`);
+
+  const records = [];
+  for (const f of [...rotations, file]) {
+    if (!fs.existsSync(f)) continue;
+    for (const raw of fs.readFileSync(f, 'utf8').split('\n')) {
+      const match = raw.match(JOB_LOG_LINE);
+      if (match) records.push({ ts: match[1], stream: match[2], line: match[3] });
+    }
+  }
+  return records;
+}
+
+/**
+ * Delete job log files (and their rotations) not written to within retentionMs.
+ * Returns the number of files removed.
+ */
+function pruneJobLogs(logsDir, retentionMs) {
+  let removed = 0;
+  const cutoff = Date.now() - retentionMs;
+  for (const name of fs.readdirSync(logsDir)) {
+    if (!/\.log(\.\d+)?$/.test(name)) continue;
+    const file = path.join(logsDir, name);
+    try {
+      if (fs.statSync(file).mtimeMs < cutoff) {
+        fs.rmSync(file);
+        removed++;
+      }
+    } catch {
+      // raced with rotation
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  installJsonConsole,
+  logJobLine,
+  lineSplitter,
+  jobLogPath,
+  appendJobLog,
+  closeJobLogs,
+  readJobLog,
+  pruneJobLogs,
+};
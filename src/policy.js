@@ -0,0 +1,118 @@
+/**
+ * Job acceptance policy
+ *
+ * Optional `policy` section of an agent's agent-config.json, checked by the
+ * dispatcher before it starts or queues a job for that agent. All rules are
+ * optional; a job must pass every rule that is set.
+ *
+ *   {
+ *     "currencies": ["VRSC"],                  // accepted currencies
+ *     "minAmount": { "VRSC": 5 },              // per currency
+ *     "buyers": { "allow": [], "deny": [] },   // buyer VerusIDs
+ *     "keywords": { "require": [], "block": [] }, // description, case-insensitive
+ *     "maxJobsPerBuyerPerDay": 3,              // per UTC day, for this agent
+ *     "onReject": "ignore"                     // or "decline": sign a decline with the reason
+ *   }
+ */
+
+const POLICY_KEYS = ['currencies', 'minAmount', 'buyers', 'keywords', 'maxJobsPerBuyerPerDay', 'onReject'];
+const ON_REJECT = ['ignore', 'decline'];
+
+const isStringList = (value) => Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim());
+
+// VerusID names are case-insensitive
+const normalizeId = (id) => String(id || '').trim().toLowerCase();
+
+/**
+ * Check a policy section. Returns a list of problems (empty when valid).
+ *
+ * @param {Object} policy
+ * @param {string} [prefix] - Label prefix for error messages
+ */
+function validatePolicy(policy, prefix = 'policy.') {
+  if (typeof policy !== 'object' || policy === null || Array.isArray(policy)) {
+    return [`${prefix.replace(/\.$/, '')} must be an object`];
+  }
+  const errors = [];
+  for (const key of Object.keys(policy)) {
+    if (!POLICY_KEYS.includes(key)) errors.push(`${prefix}${key} is not a policy rule`);
+  }
+  if (policy.currencies !== undefined && !isStringList(policy.currencies)) {
+    errors.push(`${prefix}currencies must be a list of currency names`);
+  }
+  if (policy.minAmount !== undefined) {
+    if (typeof policy.minAmount !== 'object' || policy.minAmount === null || Array.isArray(policy.minAmount)) {
+      errors.push(`${prefix}minAmount must be an object of CURRENCY: amount`);
+    } else {
+      for (const [currency, min] of Object.entries(policy.minAmount)) {
+        if (typeof min !== 'number' || !(min >= 0)) errors.push(`${prefix}minAmount.${currency} must be a number >= 0`);
+      }
+    }
+  }
+  for (const [section, lists] of [['buyers', ['allow', 'deny']], ['keywords', ['require', 'block']]]) {
+    const value = policy[section];
+    if (value === undefined) continue;
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      errors.push(`${prefix}${section} must be an object with ${lists.join('/')} lists`);
+      continue;
+    }
+    for (const key of Object.keys(value)) {
+      if (!lists.includes(key)) errors.push(`${prefix}${section}.${key} is not one of ${lists.join(', ')}`);
+      else if (!isStringList(value[key])) errors.push(`${prefix}${section}.${key} must be a list of strings`);
+    }
+  }
+  if (policy.maxJobsPerBuyerPerDay !== undefined
+    && !(Number.isInteger(policy.maxJobsPerBuyerPerDay) && policy.maxJobsPerBuyerPerDay >= 1)) {
+    errors.push(`${prefix}maxJobsPerBuyerPerDay must be an integer >= 1`);
+  }
+  if (policy.onReject !== undefined && !ON_REJECT.includes(policy.onReject)) {
+    errors.push(`${prefix}onReject must be one of ${ON_REJECT.join(', ')}`);
+  }
+  return errors;
+}
+
+/**
+ * Check a job against a policy.
+ *
+ * @param {Object} policy - A valid policy section
+ * @param {Object} job - { buyerVerusId, amount, currency, description }
+ * @param {number} buyerJobsToday - Jobs this agent already took from the buyer today (UTC)
+ * @returns {{ rule: string, reason: string } | null} The first failed rule, or null if the job passes
+ */
+function evaluatePolicy(policy, job, buyerJobsToday = 0) {
+  const buyer = normalizeId(job.buyerVerusId);
+  const currency = String(job.currency || '');
+  const amount = parseFloat(job.amount);
+  const description = String(job.description || '').toLowerCase();
+
+  if (policy.buyers?.deny?.some(id => normalizeId(id) === buyer)) {
+    return { rule: 'buyerDenied', reason: `buyer ${job.buyerVerusId} is on the deny list` };
+  }
+  if (policy.buyers?.allow?.length && !policy.buyers.allow.some(id => normalizeId(id) === buyer)) {
+    return { rule: 'buyerNotAllowed', reason: `buyer ${job.buyerVerusId} is not on the allow list` };
+  }
+  if (policy.currencies?.length && !policy.currencies.includes(currency)) {
+    return { rule: 'currency', reason: `currency ${currency || '(none)'} not accepted (${policy.currencies.join(', ')})` };
+  }
+  const min = policy.minAmount?.[currency];
+  if (min !== undefined && !(amount >= min)) {
+    return { rule: 'minAmount', reason: `amount ${job.amount} ${currency} is below the minimum ${min} ${currency}` };
+  }
+  const blocked = policy.keywords?.block?.find(word => description.includes(word.toLowerCase()));
+  if (blocked) {
+    return { rule: 'keywordBlocked', reason: `description contains blocked keyword "${blocked}"` };
+  }
+  if (policy.keywords?.require?.length && !policy.keywords.require.some(word => description.includes(word.toLowerCase()))) {
+    return { rule: 'keywordMissing', reason: `description has none of the required keywords (${policy.keywords.require.join(', ')})` };
+  }
+  if (policy.maxJobsPerBuyerPerDay !== undefined && buyerJobsToday >= policy.maxJobsPerBuyerPerDay) {
+    return { rule: 'buyerDailyLimit', reason: `buyer ${job.buyerVerusId} already has ${buyerJobsToday} job(s) today (max ${policy.maxJobsPerBuyerPerDay})` };
+  }
+  return null;
+}
+
+module.exports = {
+  validatePolicy,
+  evaluatePolicy,
+  normalizeId,
+};
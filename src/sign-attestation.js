@@ -2,7 +2,8 @@
  * Lightweight Privacy Attestation Signer
  *
  * Signs creation or deletion attestations inside the ephemeral container.
- * Much simpler than the full job-agent.js — just attestation signing.
+ * Much simpler than the full job-agent.js — just attestation signing, done
+ * by the dispatcher's per-job signing service (no key in the container).
  *
  * Usage:
  *   node sign-attestation.js creation
@@ -13,13 +14,17 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 
-const KEYS_FILE = '/app/keys.json';
+const { createSigner } = require('./signer-client.js');
+
 const JOB_DIR = '/app/job';
 
 const JOB_ID = process.env.VAP_JOB_ID || 'unknown';
 const AGENT_ID = process.env.VAP_AGENT_ID || 'unknown';
 const IDENTITY = process.env.VAP_IDENTITY || 'unknown';
 const CONTAINER_ID = process.env.HOSTNAME || 'unknown';
+// Set by the dispatcher from the effective container profile
+const MEMORY_LIMIT = process.env.VAP_MEMORY_LIMIT || 'unknown';
+const CPU_LIMIT = process.env.VAP_CPU_LIMIT || 'unknown';
 
 const mode = process.argv[2]; // 'creation' or 'deletion'
 
@@ -28,9 +33,8 @@ if (!mode || (mode !== 'creation' && mode !== 'deletion')) {
   process.exit(1);
 }
 
-try {
-  const keys = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf8'));
-  const { signChallenge } = require('./sdk/dist/identity/signer.js');
+async function main() {
+  const signer = createSigner();
 
   if (mode === 'creation') {
     const creationTime = new Date().toISOString();
@@ -66,13 +70,13 @@ try {
       createdAt: creationTime,
       jobHash,
       ephemeral: true,
-      memoryLimit: '2GB',
-      cpuLimit: '1 core',
+      memoryLimit: MEMORY_LIMIT,
+      cpuLimit: CPU_LIMIT,
       privacyTier: 'ephemeral-container',
     };
 
     const message = JSON.stringify(attestation);
-    attestation.signature = signChallenge(keys.wif, message, keys.iAddress, 'verustest');
+    attestation.signature = await signer.sign('container-attestation', message);
 
     fs.writeFileSync(
       path.join(JOB_DIR, 'creation-attestation.json'),
@@ -114,7 +118,7 @@ try {
     };
 
     const message = JSON.stringify(attestation);
-    attestation.signature = signChallenge(keys.wif, message, keys.iAddress, 'verustest');
+    attestation.signature = await signer.sign('container-attestation', message);
 
     fs.writeFileSync(
       path.join(JOB_DIR, 'deletion-attestation.json'),
@@ -128,7 +132,9 @@ try {
       console.log(`   Duration: ${(new Date(deletionTime) - new Date(creationTime)) / 1000}s`);
     }
   }
-} catch (e) {
+}
+
+main().catch((e) => {
   console.error(`❌ Attestation signing failed: ${e.message}`);
   process.exit(1);
-}
+});
@@ -0,0 +1,245 @@
+/**
+ * Signature audit log
+ *
+ * Every signature the dispatcher makes with an agent key is appended to
+ * ~/.vap/dispatcher/signatures.jsonl: job container requests through the
+ * signing service, platform logins, declines, and identity update
+ * transactions. For signatures the SDK makes internally (registration,
+ * set-authorities, review acceptance) the message is a description of the
+ * operation and its txid rather than the signed bytes.
+ *
+ *   { seq, ts, agentId, type, jobId, messageHash, keyed, prev, hash }
+ *
+ * messageHash is the SHA-256 of the signed message (or raw transaction); the
+ * message itself is not stored. `hash` covers the entry's fields and the
+ * previous entry's hash, so editing, inserting or deleting a line breaks the
+ * chain from that point on (`audit signatures --verify`).
+ *
+ * When the agent keys are encrypted, `hash` is an HMAC under a key derived
+ * from the keys passphrase (`keyed: true`), so the chain can't be rewritten
+ * without the passphrase. With plaintext keys there is no secret to key it
+ * with and `hash` is plain SHA-256: that detects accidents, not someone who
+ * can write the file. Either way, dropping lines off the end can only be
+ * noticed against a head hash recorded elsewhere.
+ *
+ * Appends within a process are queued, and each one takes
+ * signatures.jsonl.lock, so the dispatcher and CLI commands writing at the
+ * same time don't fork the chain. Waiting for the lock never blocks the
+ * event loop.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const fsp = require('fs/promises');
+
+const SIGNATURE_COLUMNS = ['seq', 'ts', 'agentId', 'type', 'jobId', 'messageHash', 'hash'];
+const GENESIS_HASH = '0'.repeat(64);
+const TAIL_BYTES = 64 * 1024;
+const LOCK_WAIT_MS = 5000;
+const LOCK_STALE_MS = 30 * 1000;
+const AUDIT_KEY_SALT = 'vap-dispatcher signature audit v1';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+
+/**
+ * Chain key for a keys passphrase. Same scrypt cost as the keystore, under
+ * a fixed salt so every process with the passphrase gets the same key.
+ *
+ * @param {string} passphrase
+ * @returns {Buffer}
+ */
+function deriveAuditKey(passphrase) {
+  return crypto.scryptSync(passphrase, AUDIT_KEY_SALT, 32, { N: 1 << 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 });
+}
+
+/**
+ * Key for new entries, or null to write them unkeyed. The chain is keyed
+ * only while agent keys are encrypted at rest. A passphrase asked for
+ * anything else (rotate-key sealing the archive of a plaintext key) must not
+ * key it, or the next plaintext run's entries would read as a downgrade.
+ *
+ * @param {Object} options
+ * @param {string|null} options.passphrase - Keys passphrase, if unlocked
+ * @param {boolean} options.keysEncrypted - Whether any agent keys.json is encrypted
+ * @returns {Buffer|null}
+ */
+function appendKey({ passphrase, keysEncrypted }) {
+  return keysEncrypted && passphrase ? deriveAuditKey(passphrase) : null;
+}
+
+function entryHash(entry, key) {
+  const data = `${entry.prev}|${JSON.stringify([entry.seq, entry.ts, entry.agentId, entry.type, entry.jobId, entry.messageHash])}`;
+  return entry.keyed ? crypto.createHmac('sha256', key).update(data).digest('hex') : sha256(data);
+}
+
+const appendQueues = new Map(); // logPath -> promise of the last queued append
+
+// Run fn holding <logPath>.lock. A lock older than LOCK_STALE_MS was left by
+// a process that died mid-append and is taken over.
+async function withLogLock(logPath, fn) {
+  const lockPath = `${logPath}.lock`;
+  const deadline = Date.now() + LOCK_WAIT_MS;
+  for (;;) {
+    try {
+      await (await fsp.open(lockPath, 'wx', 0o600)).close();
+      break;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+    }
+    try {
+      if (Date.now() - (await fsp.stat(lockPath)).mtimeMs > LOCK_STALE_MS) {
+        await fsp.unlink(lockPath);
+        continue;
+      }
+    } catch {
+      continue; // released while we looked
+    }
+    if (Date.now() > deadline) throw new Error(`${lockPath} has been held for over ${LOCK_WAIT_MS / 1000}s`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  try {
+    return await fn();
+  } finally {
+    await fsp.unlink(lockPath).catch(() => {});
+  }
+}
+
+// Last parseable entry, from the end of the file only
+function readLastEntry(logPath) {
+  if (!fs.existsSync(logPath)) return { entry: null, endsWithNewline: true };
+  const fd = fs.openSync(logPath, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const length = Math.min(size, TAIL_BYTES);
+    const buf = Buffer.alloc(length);
+    fs.readSync(fd, buf, 0, length, size - length);
+    const text = buf.toString('utf8');
+    const lines = text.split('\n').filter(line => line.trim());
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        return { entry: JSON.parse(lines[i]), endsWithNewline: text.endsWith('\n') || size === 0 };
+      } catch {
+        // torn or partial line — keep looking
+      }
+    }
+    return { entry: null, endsWithNewline: text.endsWith('\n') || size === 0 };
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Record one signature.
+ *
+ * @param {string} logPath
+ * @param {Object} record
+ * @param {string} record.agentId
+ * @param {string} record.type - accept, deliver, attestation, container-attestation, login, decline, identity-update,
+ *   register, set-authorities, accept-review
+ * @param {string|null} record.jobId
+ * @param {string} record.message - What was signed (hashed, not stored)
+ * @param {Buffer|null} [key] - From deriveAuditKey; null writes an unkeyed entry
+ * @returns {Promise<Object>} The appended entry
+ */
+function appendSignature(logPath, { agentId, type, jobId = null, message }, key = null) {
+  const append = () => withLogLock(logPath, () => {
+    const { entry: last, endsWithNewline } = readLastEntry(logPath);
+    const entry = {
+      seq: last ? last.seq + 1 : 1,
+      ts: new Date().toISOString(),
+      agentId,
+      type,
+      jobId,
+      messageHash: sha256(message),
+      keyed: !!key,
+      prev: last ? last.hash : GENESIS_HASH,
+    };
+    entry.hash = entryHash(entry, key);
+    fs.appendFileSync(logPath, `${endsWithNewline ? '' : '\n'}${JSON.stringify(entry)}\n`, { mode: 0o600 });
+    return entry;
+  });
+  const queued = (appendQueues.get(logPath) || Promise.resolve()).then(append, append);
+  appendQueues.set(logPath, queued);
+  return queued;
+}
+
+// Resolves once every append queued so far has been written (or failed)
+function flushSignatures(logPath) {
+  return (appendQueues.get(logPath) || Promise.resolve()).then(() => {}, () => {});
+}
+
+// All lines, oldest first; unparseable lines come back as { line, invalid: true }
+function readSignatures(logPath) {
+  if (!fs.existsSync(logPath)) return [];
+  const entries = [];
+  fs.readFileSync(logPath, 'utf8').split('\n').forEach((text, i) => {
+    if (!text.trim()) return;
+    try {
+      entries.push(JSON.parse(text));
+    } catch {
+      entries.push({ line: i + 1, invalid: true });
+    }
+  });
+  return entries;
+}
+
+/**
+ * Walk the hash chain.
+ *
+ * Keyed entries need the key to check. An unkeyed entry after a keyed one
+ * is treated as a break: it is what rewriting the tail without the
+ * passphrase looks like.
+ *
+ * @param {Object[]} entries - From readSignatures
+ * @param {Buffer|null} [key] - From deriveAuditKey
+ * @returns {{ ok: boolean, count: number, head: string, unkeyed: number, brokenAt?: number, reason?: string }}
+ *   brokenAt is the seq (or line, for unreadable lines) where the chain first breaks;
+ *   unkeyed counts the verified entries that are plain SHA-256
+ */
+function verifySignatureChain(entries, key = null) {
+  let prev = GENESIS_HASH;
+  let seq = 0;
+  let unkeyed = 0;
+  let sawKeyed = false;
+  const broken = (brokenAt, reason) => ({ ok: false, count: seq, head: prev, unkeyed, brokenAt, reason });
+  for (const entry of entries) {
+    if (entry.invalid) return broken(entry.line, `line ${entry.line} is not a log entry`);
+    if (entry.seq !== seq + 1) return broken(entry.seq, `expected seq ${seq + 1}, found ${entry.seq}`);
+    if (entry.prev !== prev) return broken(entry.seq, `seq ${entry.seq} does not follow the previous entry`);
+    if (entry.keyed) {
+      if (!key) return broken(entry.seq, `seq ${entry.seq} is keyed and needs the keys passphrase to check`);
+      sawKeyed = true;
+    } else {
+      if (sawKeyed) return broken(entry.seq, `seq ${entry.seq} is unkeyed but follows keyed entries`);
+      unkeyed++;
+    }
+    if (entryHash(entry, key) !== entry.hash) return broken(entry.seq, `seq ${entry.seq} was modified${entry.keyed ? ' (or the passphrase is not the one it was written under)' : ''}`);
+    prev = entry.hash;
+    seq = entry.seq;
+  }
+  return { ok: true, count: seq, head: prev, unkeyed };
+}
+
+function filterSignatures(entries, { agent, type, job, fromMs, toMs } = {}) {
+  return entries.filter(e => {
+    if (e.invalid) return false;
+    if (agent && e.agentId !== agent) return false;
+    if (type && e.type !== type) return false;
+    if (job && e.jobId !== job) return false;
+    const ms = Date.parse(e.ts);
+    if (fromMs != null && !(ms >= fromMs)) return false;
+    if (toMs != null && !(ms < toMs)) return false;
+    return true;
+  });
+}
+
+module.exports = {
+  SIGNATURE_COLUMNS,
+  deriveAuditKey,
+  appendKey,
+  appendSignature,
+  flushSignatures,
+  readSignatures,
+  verifySignatureChain,
+  filterSignatures,
+};
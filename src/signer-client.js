@@ -0,0 +1,82 @@
+/**
+ * Client for the dispatcher's per-job signing service (see signing-service.js)
+ *
+ * Used inside job containers by job-agent.js and sign-attestation.js in place
+ * of the agent's WIF. The socket lives in the mounted job dir.
+ */
+
+const http = require('http');
+
+const SIGNER_SOCKET = '/app/job/signer.sock';
+
+function requestSignature(socketPath, kind, message, timestamp) {
+  return new Promise((resolve, reject) => {
+    const payload = JSON.stringify({ kind, message, timestamp });
+    const req = http.request({
+      socketPath,
+      method: 'POST',
+      path: '/sign',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+      timeout: 30000,
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        let data;
+        try {
+          data = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+        } catch {
+          return reject(new Error(`Signing service returned non-JSON (HTTP ${res.statusCode})`));
+        }
+        if (res.statusCode >= 400) {
+          const err = new Error(`Signing refused (${kind}): ${data.error || `HTTP ${res.statusCode}`}`);
+          err.statusCode = res.statusCode;
+          return reject(err);
+        }
+        resolve(data);
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('Signing service timed out')));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+/**
+ * @param {string} [socketPath]
+ * @returns {{
+ *   sign: (kind: string, message: string, timestamp?: number) => Promise<string>,
+ *   login: () => Promise<{ challengeId: string, signature: string }>
+ * }}
+ */
+function createSigner(socketPath = SIGNER_SOCKET) {
+  // A refusal (4xx) is final; connection errors are retried in case the
+  // dispatcher is restarting and about to re-adopt this container
+  const request = async (kind, message, timestamp) => {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await requestSignature(socketPath, kind, message, timestamp);
+      } catch (e) {
+        if (e.statusCode && e.statusCode < 500) throw e;
+        if (attempt >= 5) throw e;
+        await new Promise(r => setTimeout(r, 2000 * attempt));
+      }
+    }
+  };
+  return {
+    // (timestamp: the unix time a platform attestation will be submitted with)
+    async sign(kind, message, timestamp) {
+      return (await request(kind, message, timestamp)).signature;
+    },
+    // The dispatcher fetches and signs the platform's login challenge
+    async login() {
+      const { challengeId, signature } = await request('login');
+      return { challengeId, signature };
+    },
+  };
+}
+
+module.exports = {
+  SIGNER_SOCKET,
+  createSigner,
+};
@@ -0,0 +1,147 @@
+/**
+ * Signing policy
+ *
+ * What the per-job signing service (signing-service.js) will sign for a job
+ * container. A message must match one of the canonical templates for its
+ * kind exactly, name this job, and carry a timestamp within
+ * `signingWindowSec` of the dispatcher's clock. Everything else is refused.
+ *
+ *   accept                 VAP-ACCEPT|Job:<jobHash>|Buyer:<buyer>|Amt:<amount> <currency>|Ts:<unix>|I accept this job and commit to delivering the work.
+ *   deliver                VAP-DELIVER|Job:<jobHash>|Delivery:<hash|failed>|Ts:<unix>|I have delivered the work for this job.
+ *   attestation            The platform's deletion attestation message for (jobId, timestamp),
+ *                          or the local timeout record { jobId, containerId, destroyedAt, deletionMethod }
+ *   container-attestation  container:created / container:destroyed record from sign-attestation.js;
+ *                          a created record must attest the container's real memory and CPU limits
+ *
+ * Logins are not checked here: for `login` the signing service fetches the
+ * platform's challenge itself and the container never supplies text.
+ *
+ * Declines are signed by the dispatcher itself, never for a container; their
+ * template lives here with the others so all of them are kept in one place:
+ *
+ *   decline                VAP-DECLINE|Job:<jobHash>|Buyer:<buyer>|Amt:<amount> <currency>|Ts:<unix>|Reason:<reason>|I decline this job.
+ *
+ * The platform has not published VAP-DECLINE yet; it is modelled on VAP-ACCEPT
+ * (INTEGRATION-PLAN.md, SDK Changes Needed) and must change with it.
+ */
+
+const SIGN_KINDS = ['accept', 'deliver', 'attestation', 'container-attestation', 'login'];
+
+const CREATED_FIELDS = ['type', 'jobId', 'containerId', 'agentId', 'identity', 'createdAt', 'jobHash',
+  'ephemeral', 'memoryLimit', 'cpuLimit', 'privacyTier'];
+const DESTROYED_FIELDS = ['type', 'jobId', 'containerId', 'agentId', 'identity', 'createdAt', 'destroyedAt',
+  'jobHash', 'dataVolumes', 'deletionMethod', 'ephemeral', 'privacyAttestation'];
+const TIMEOUT_RECORD_FIELDS = ['jobId', 'containerId', 'destroyedAt', 'deletionMethod'];
+
+const acceptMessage = (job, ts) =>
+  `VAP-ACCEPT|Job:${job.jobHash}|Buyer:${job.buyerVerusId}|Amt:${job.amount} ${job.currency}|Ts:${ts}|I accept this job and commit to delivering the work.`;
+const deliverMessage = (job, delivery, ts) =>
+  `VAP-DELIVER|Job:${job.jobHash}|Delivery:${delivery}|Ts:${ts}|I have delivered the work for this job.`;
+// reason must already be free of '|' and newlines
+const declineMessage = (job, ts, reason) =>
+  `VAP-DECLINE|Job:${job.jobHash}|Buyer:${job.buyerVerusId}|Amt:${job.amount} ${job.currency}|Ts:${ts}|Reason:${reason}|I decline this job.`;
+
+/**
+ * How a container's memory and CPU limits read in its creation attestation.
+ * Null when either is unknown (a container created before they were labelled).
+ *
+ * @param {number|string} memoryMb
+ * @param {number|string} cpus
+ * @returns {{ memoryLimit: string, cpuLimit: string }|null}
+ */
+function containerLimits(memoryMb, cpus) {
+  if (memoryMb == null || memoryMb === '' || cpus == null || cpus === '') return null;
+  return { memoryLimit: `${memoryMb} MB`, cpuLimit: `${cpus} CPU` };
+}
+
+const hasExactly = (record, fields) => {
+  const keys = Object.keys(record);
+  return keys.length === fields.length && fields.every(f => keys.includes(f));
+};
+
+function parseRecord(message) {
+  try {
+    const record = JSON.parse(message);
+    return record && typeof record === 'object' && !Array.isArray(record) ? record : null;
+  } catch {
+    return null;
+  }
+}
+
+// Unix seconds or ISO date -> problem text, or null when inside the window
+function checkFresh(label, value, now, windowSec) {
+  const ms = typeof value === 'number' ? value * 1000 : Date.parse(value);
+  if (!Number.isFinite(ms)) return `${label} is not a timestamp`;
+  const skew = Math.round(Math.abs(now - ms) / 1000);
+  return skew > windowSec ? `${label} is ${skew}s from now (window ${windowSec}s)` : null;
+}
+
+/**
+ * Check one signing request against the templates.
+ *
+ * @param {{ kind: string, message: string, timestamp?: number }} request
+ * @param {Object} ctx
+ * @param {string} ctx.jobId
+ * @param {Object} [ctx.job] - Platform job { jobHash, buyerVerusId, amount, currency } (accept, deliver)
+ * @param {string} [ctx.platformAttestation] - Platform's deletion attestation message for request.timestamp
+ * @param {{ memoryLimit: string, cpuLimit: string }} [ctx.limits] - From containerLimits() (container:created)
+ * @param {number} ctx.now - ms
+ * @param {number} ctx.windowSec
+ * @returns {string|null} Why the request is refused, or null to sign it
+ */
+function checkSignRequest({ kind, message, timestamp }, ctx) {
+  const { jobId, job, now, windowSec } = ctx;
+
+  if (kind === 'accept' || kind === 'deliver') {
+    const match = /^VAP-(?:ACCEPT|DELIVER)\|.*\|Ts:(\d+)\|[^|]*$/.exec(message);
+    if (!match) return `${kind} message does not match the VAP-${kind.toUpperCase()} template`;
+    const ts = parseInt(match[1], 10);
+    if (kind === 'accept') {
+      if (message !== acceptMessage(job, ts)) return 'accept message is not the canonical accept for this job';
+    } else {
+      const delivery = /\|Delivery:([^|\s]{1,128})\|/.exec(message)?.[1];
+      if (!delivery || message !== deliverMessage(job, delivery, ts)) return 'deliver message is not the canonical deliver for this job';
+    }
+    return checkFresh('Ts', ts, now, windowSec);
+  }
+
+  if (kind === 'attestation') {
+    const record = parseRecord(message);
+    if (record) {
+      if (!hasExactly(record, TIMEOUT_RECORD_FIELDS) || record.deletionMethod !== 'timeout') {
+        return 'attestation record does not match the timeout record template';
+      }
+      if (record.jobId !== jobId) return 'attestation record is not for this job';
+      return checkFresh('destroyedAt', record.destroyedAt, now, windowSec);
+    }
+    if (!Number.isInteger(timestamp)) return 'platform attestation needs the timestamp it will be submitted with';
+    const stale = checkFresh('timestamp', timestamp, now, windowSec);
+    if (stale) return stale;
+    return message === ctx.platformAttestation ? null : 'attestation is not the platform\'s deletion attestation for this job';
+  }
+
+  if (kind === 'container-attestation') {
+    const record = parseRecord(message);
+    if (!record) return 'container attestation must be a JSON record';
+    const [fields, timeField] = record.type === 'container:created' ? [CREATED_FIELDS, 'createdAt']
+      : record.type === 'container:destroyed' ? [DESTROYED_FIELDS, 'destroyedAt']
+      : [null, null];
+    if (!fields || !hasExactly(record, fields)) return 'container attestation does not match a container record template';
+    if (record.jobId !== jobId) return 'container attestation is not for this job';
+    const { limits } = ctx;
+    if (record.type === 'container:created' && limits
+      && (record.memoryLimit !== limits.memoryLimit || record.cpuLimit !== limits.cpuLimit)) {
+      return `container attestation limits do not match the container (${limits.memoryLimit}, ${limits.cpuLimit})`;
+    }
+    return checkFresh(timeField, record[timeField], now, windowSec);
+  }
+
+  return `unknown kind "${String(kind).slice(0, 40)}"`;
+}
+
+module.exports = {
+  SIGN_KINDS,
+  containerLimits,
+  declineMessage,
+  checkSignRequest,
+};
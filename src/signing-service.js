@@ -0,0 +1,160 @@
+/**
+ * Per-job signing service
+ *
+ * Job containers never get the agent's WIF. For each job the dispatcher
+ * listens on a unix socket inside the job dir (/app/job/signer.sock in the
+ * container) and signs only what that job needs, per the templates in
+ * signing-policy.js: this job's accept and deliver, and its deletion and
+ * container attestations.
+ *
+ * POST /sign { kind, message, timestamp? } -> { signature }. Anything else is
+ * refused with 403 and logged.
+ *
+ * POST /sign { kind: 'login' } -> { challengeId, signature }: the dispatcher
+ * fetches a login challenge from the platform itself and signs it, so the
+ * container never chooses the text (a few per job, for the API session and
+ * SafeChat). The container completes the login with client.login().
+ */
+
+const fs = require('fs');
+const http = require('http');
+const { SIGN_KINDS, checkSignRequest } = require('./signing-policy.js');
+
+const MAX_BODY_BYTES = 16 * 1024;
+const MAX_LOGINS = 10; // per job, including re-auth after errors
+
+function refuse(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(refuse(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(refuse(400, 'Body must be JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start a job's signing service.
+ *
+ * @param {Object} options
+ * @param {string} options.socketPath - Unix socket to listen on (in the job dir)
+ * @param {string} options.jobId
+ * @param {{ wif: string, iAddress: string }} options.keys - The agent's keys (stay in the dispatcher)
+ * @param {Function} options.resolveJob - async () => the platform's job ({ jobHash, buyerVerusId, amount, currency })
+ * @param {Function} options.resolveAttestationMessage - async (timestamp) => the platform's deletion attestation message
+ * @param {Function} options.resolveLoginChallenge - async () => a fresh { challengeId, challenge } from the platform
+ * @param {number} options.windowSec - Timestamp freshness window
+ * @param {Object} [options.limits] - The container's { memoryLimit, cpuLimit } (signing-policy containerLimits)
+ * @param {Function} [options.onSign] - ({ kind, signed, message?, reason? }) after each request; message when
+ *   signed, reason when refused; kind is 'unknown' for unlisted kinds
+ * @returns {Promise<{ close: Function }>}
+ */
+async function startSigningService({
+  socketPath, jobId, keys, resolveJob, resolveAttestationMessage, resolveLoginChallenge, windowSec, limits = null, onSign = () => {},
+}) {
+  const { signMessage, signChallenge } = require('../vap-agent-sdk/dist/identity/signer.js');
+  let job = null;
+  let logins = 0;
+
+  // Platform lookups fail with 503 so the container retries
+  const lookup = async (what, fn) => {
+    try {
+      const value = await fn();
+      if (value) return value;
+    } catch (e) {
+      throw refuse(503, `${what} not available: ${e.message}`);
+    }
+    throw refuse(503, `${what} not available yet`);
+  };
+
+  // Returns the signature, or throws refuse(403) for anything the policy refuses
+  const sign = async (kind, message, timestamp) => {
+    const ctx = { jobId, now: Date.now(), windowSec, limits };
+    if (kind === 'accept' || kind === 'deliver') {
+      job = job || await lookup('Job', resolveJob);
+      ctx.job = job;
+    }
+    if (kind === 'attestation' && Number.isInteger(timestamp) && !message.startsWith('{')) {
+      ctx.platformAttestation = await lookup('Platform attestation message', () => resolveAttestationMessage(timestamp));
+    }
+    const reason = checkSignRequest({ kind, message, timestamp }, ctx);
+    if (reason) throw refuse(403, reason);
+    return kind === 'container-attestation'
+      ? signChallenge(keys.wif, message, keys.iAddress, 'verustest')
+      : signMessage(keys.wif, message, 'verustest');
+  };
+
+  // Sign a challenge the dispatcher fetched itself; returns it for the audit log
+  const login = async () => {
+    if (logins >= MAX_LOGINS) throw refuse(403, `more than ${MAX_LOGINS} logins for this job`);
+    const { challengeId, challenge } = await lookup('Login challenge', resolveLoginChallenge);
+    logins++;
+    return { challengeId, challenge, signature: signChallenge(keys.wif, challenge, keys.iAddress, 'verustest') };
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const send = (statusCode, payload) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    };
+    let kind;
+    try {
+      if (req.method !== 'POST' || req.url !== '/sign') throw refuse(404, 'Not found');
+      const body = await readJson(req);
+      kind = String(body.kind || '');
+      if (kind === 'login') {
+        const { challengeId, challenge, signature } = await login();
+        onSign({ kind, signed: true, message: challenge });
+        send(200, { challengeId, signature });
+        return;
+      }
+      if (typeof body.message !== 'string' || !body.message) throw refuse(400, 'message must be a non-empty string');
+      const signature = await sign(kind, body.message, body.timestamp);
+      onSign({ kind, signed: true, message: body.message });
+      send(200, { signature });
+    } catch (e) {
+      if (e.statusCode === 403) onSign({ kind: SIGN_KINDS.includes(kind) ? kind : 'unknown', signed: false, reason: e.message });
+      send(e.statusCode || 500, { error: e.message });
+    }
+  });
+
+  fs.rmSync(socketPath, { force: true }); // stale socket from a previous attempt or process
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(socketPath, resolve);
+  });
+  // The container user is a different uid; the job dir is only reachable
+  // through the 0700 dispatcher dir on the host
+  fs.chmodSync(socketPath, 0o666);
+
+  return {
+    close: () => {
+      server.close();
+      fs.rmSync(socketPath, { force: true });
+    },
+  };
+}
+
+module.exports = {
+  startSigningService,
+};
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { DEFAULTS, loadConfig, validateConfig, validateContainerProfile } = require('../src/config.js');
+
+const NO_FILE = path.join(__dirname, 'no-such-config.json');
+const withChanges = (changes) => ({ ...structuredClone(DEFAULTS), ...changes });
+
+test('defaults are valid', () => {
+  assert.deepEqual(validateConfig(structuredClone(DEFAULTS)), []);
+});
+
+test('loadConfig applies env overrides and reports bad values', () => {
+  const { config, errors } = loadConfig(NO_FILE, { VAP_MAX_AGENTS: '4', VAP_ADMIN_ENABLED: 'false' });
+  assert.equal(config.maxAgents, 4);
+  assert.equal(config.admin.enabled, false);
+  assert.deepEqual(errors, []);
+
+  const bad = loadConfig(NO_FILE, { VAP_MAX_AGENTS: 'lots', VAP_ADMIN_ENABLED: 'maybe' });
+  assert.ok(bad.errors.includes('maxAgents must be a number'));
+  assert.ok(bad.errors.includes('admin.enabled must be true or false'));
+});
+
+test('validateConfig checks numbers, enums and admin settings', () => {
+  assert.ok(validateConfig(withChanges({ maxRetries: 1.5 })).includes('maxRetries must be an integer'));
+  assert.ok(validateConfig(withChanges({ signingWindowSec: 5 })).includes('signingWindowSec must be >= 10'));
+  assert.ok(validateConfig(withChanges({ intake: 'carrier-pigeon' })).some(e => e.startsWith('intake')));
+  assert.ok(validateConfig(withChanges({ intake: 'push' })).some(e => e.includes('job:requested')));
+  assert.ok(validateConfig(withChanges({ retryPolicy: { meteor: { maxRetries: 1, backoffMs: 0 } } }))
+    .some(e => e.startsWith('retryPolicy.meteor')));
+  assert.ok(validateConfig(withChanges({ admin: { enabled: true, port: 9000, token: 'short' } }))
+    .some(e => e.startsWith('admin.token')));
+  assert.ok(validateConfig(withChanges({ admin: { enabled: false, port: 9000, token: 'x'.repeat(16) } }))
+    .includes('admin.port needs admin.enabled'));
+});
+
+test('validateContainerProfile refuses host networking and reserved env', () => {
+  const profile = { ...DEFAULTS.container, network: 'host', env: { VAP_JOB_ID: 'x', 'BAD-NAME': '1', OK: 1 } };
+  const errors = validateContainerProfile(profile, 'container.');
+  assert.ok(errors.includes('container.network "host" is not allowed for job containers'));
+  assert.ok(errors.includes('container.env.VAP_JOB_ID is reserved (set by the dispatcher)'));
+  assert.ok(errors.includes('container.env.BAD-NAME is not a valid variable name'));
+  assert.equal(errors.length, 3);
+  assert.ok(validateContainerProfile({ ...DEFAULTS.container, tmpfsSize: '64 MB' }).some(e => e.startsWith('tmpfsSize')));
+});
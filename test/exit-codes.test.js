@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULTS } = require('../src/config.js');
+const { EXIT_CODES, classifyExit } = require('../src/exit-codes.js');
+
+test('exits with a result or nothing to do are not retried', () => {
+  for (const code of ['OK', 'DELIVERED_FAILURE', 'JOB_NOT_ACTIONABLE', 'CANCELLED']) {
+    assert.equal(classifyExit({ exitCode: EXIT_CODES[code] }), null, code);
+  }
+});
+
+test('failures map to their retry causes', () => {
+  assert.equal(classifyExit({ exitCode: EXIT_CODES.TIMEOUT }), 'timeout');
+  assert.equal(classifyExit({ exitCode: EXIT_CODES.AUTH_FAILED }), 'auth');
+  assert.equal(classifyExit({ exitCode: EXIT_CODES.EXECUTOR_INIT_FAILED }), 'executorInit');
+  assert.equal(classifyExit({ exitCode: EXIT_CODES.FAILED_AFTER_ACCEPT }), 'afterAccept');
+  assert.equal(classifyExit({ exitCode: EXIT_CODES.FATAL }), 'crash');
+  assert.equal(classifyExit({ exitCode: 137 }), 'crash');
+});
+
+test('an OOM kill wins over the exit code', () => {
+  assert.equal(classifyExit({ exitCode: EXIT_CODES.OK, oomKilled: true }), 'oom');
+});
+
+test('every cause has a retry policy', () => {
+  const causes = [EXIT_CODES.TIMEOUT, EXIT_CODES.AUTH_FAILED, EXIT_CODES.EXECUTOR_INIT_FAILED, EXIT_CODES.FAILED_AFTER_ACCEPT, 1]
+    .map(exitCode => classifyExit({ exitCode }))
+    .concat(classifyExit({ exitCode: 0, oomKilled: true }));
+  for (const cause of causes) assert.ok(DEFAULTS.retryPolicy[cause], cause);
+});
@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isEncryptedKeys, encryptKeys, decryptKeys } = require('../src/keystore.js');
+
+const KEYS = { wif: 'UwifExampleNotARealKey', address: 'RAddressOne', identity: 'agent1.agentplatform@', iAddress: 'iExample' };
+
+test('round trip keeps every field and hides the WIF', () => {
+  const sealed = encryptKeys(KEYS, 'correct horse');
+  assert.ok(isEncryptedKeys(sealed));
+  assert.equal(sealed.wif, undefined);
+  assert.ok(!JSON.stringify(sealed).includes(KEYS.wif));
+  assert.equal(sealed.identity, KEYS.identity);
+  assert.deepEqual(decryptKeys(sealed, 'correct horse'), KEYS);
+});
+
+test('a wrong passphrase is refused', () => {
+  const sealed = encryptKeys(KEYS, 'correct horse');
+  assert.throws(() => decryptKeys(sealed, 'battery staple'), /Wrong passphrase or damaged key file/);
+});
+
+test('tampered ciphertext or a moved WIF is refused', () => {
+  const sealed = encryptKeys(KEYS, 'pw');
+  const flipped = sealed.encryptedWif.data.replace(/^./, c => (c === '0' ? '1' : '0'));
+  assert.throws(() => decryptKeys({ ...sealed, encryptedWif: { ...sealed.encryptedWif, data: flipped } }, 'pw'));
+  // The address is bound in as associated data
+  assert.throws(() => decryptKeys({ ...sealed, address: 'RAddressTwo' }, 'pw'));
+});
+
+test('plain keys are not reported as encrypted', () => {
+  assert.equal(isEncryptedKeys(KEYS), false);
+  assert.equal(isEncryptedKeys(null), false);
+});
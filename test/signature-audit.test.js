@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { deriveAuditKey, appendKey, appendSignature, readSignatures, verifySignatureChain } = require('../src/signature-audit.js');
+
+const tmpDirs = [];
+const tmpLog = () => {
+  tmpDirs.push(fs.mkdtempSync(path.join(os.tmpdir(), 'vap-audit-')));
+  return path.join(tmpDirs.at(-1), 'signatures.jsonl');
+};
+test.after(() => tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+const record = (n) => ({ agentId: 'agent-1', type: 'accept', jobId: `job-${n}`, message: `message ${n}` });
+
+test('an untouched chain verifies', async () => {
+  const log = tmpLog();
+  for (let i = 1; i <= 3; i++) await appendSignature(log, record(i));
+  const chain = verifySignatureChain(readSignatures(log));
+  assert.equal(chain.ok, true);
+  assert.equal(chain.count, 3);
+  assert.equal(chain.unkeyed, 3);
+});
+
+test('edited, deleted and torn lines break the chain', async () => {
+  const log = tmpLog();
+  for (let i = 1; i <= 3; i++) await appendSignature(log, record(i));
+  const lines = fs.readFileSync(log, 'utf8').trim().split('\n');
+
+  const edited = lines.map(l => JSON.parse(l));
+  edited[1].jobId = 'job-other';
+  assert.equal(verifySignatureChain(edited).brokenAt, 2);
+
+  const deleted = [lines[0], lines[2]].map(l => JSON.parse(l));
+  assert.match(verifySignatureChain(deleted).reason, /expected seq 2/);
+
+  fs.appendFileSync(log, '{"seq":4,');
+  await appendSignature(log, record(5));
+  const torn = verifySignatureChain(readSignatures(log));
+  assert.equal(torn.ok, false);
+  assert.match(torn.reason, /not a log entry/);
+});
+
+test('keyed entries need the right key', async () => {
+  const log = tmpLog();
+  const key = deriveAuditKey('passphrase');
+  await appendSignature(log, record(1), key);
+  await appendSignature(log, record(2), key);
+  const entries = readSignatures(log);
+  assert.equal(verifySignatureChain(entries, key).ok, true);
+  assert.match(verifySignatureChain(entries).reason, /needs the keys passphrase/);
+  assert.match(verifySignatureChain(entries, deriveAuditKey('other')).reason, /modified/);
+});
+
+test('an unkeyed entry after keyed ones is a break', async () => {
+  const log = tmpLog();
+  const key = deriveAuditKey('passphrase');
+  await appendSignature(log, record(1));
+  await appendSignature(log, record(2), key);
+  await appendSignature(log, record(3));
+  const chain = verifySignatureChain(readSignatures(log), key);
+  assert.equal(chain.brokenAt, 3);
+  assert.match(chain.reason, /unkeyed but follows keyed/);
+});
+
+test('rotate-key on plaintext keys, then start, leaves a chain that verifies', async () => {
+  const log = tmpLog();
+  // rotate-key asks for a passphrase to seal the archive, but keys.json is plaintext
+  const rotateKey = appendKey({ passphrase: 'archive passphrase', keysEncrypted: false });
+  assert.equal(rotateKey, null);
+  await appendSignature(log, { agentId: 'agent-1', type: 'login', jobId: null, message: 'challenge' }, rotateKey);
+  await appendSignature(log, { agentId: 'agent-1', type: 'identity-update', jobId: null, message: 'rawtx' }, rotateKey);
+  // start with plaintext keys never unlocks a passphrase
+  const startKey = appendKey({ passphrase: null, keysEncrypted: false });
+  await appendSignature(log, record(1), startKey);
+
+  const chain = verifySignatureChain(readSignatures(log));
+  assert.equal(chain.ok, true);
+  assert.equal(chain.count, 3);
+});
+
+test('encrypted keys key the chain', () => {
+  const key = appendKey({ passphrase: 'passphrase', keysEncrypted: true });
+  assert.deepEqual(key, deriveAuditKey('passphrase'));
+  assert.equal(appendKey({ passphrase: null, keysEncrypted: true }), null);
+});
+
+test('concurrent appends and a held lock keep one chain', async () => {
+  const log = tmpLog();
+  await Promise.all(Array.from({ length: 20 }, (_, i) => appendSignature(log, record(i))));
+  assert.equal(verifySignatureChain(readSignatures(log)).count, 20);
+
+  // Another process holds the lock for a moment; the event loop keeps running meanwhile
+  fs.writeFileSync(`${log}.lock`, '');
+  let ticks = 0;
+  const ticker = setInterval(() => ticks++, 5);
+  setTimeout(() => fs.rmSync(`${log}.lock`), 100);
+  await appendSignature(log, record(21));
+  clearInterval(ticker);
+  assert.ok(ticks > 5);
+  assert.equal(verifySignatureChain(readSignatures(log)).count, 21);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { checkSignRequest, containerLimits, declineMessage } = require('../src/signing-policy.js');
+
+const JOB = { jobHash: 'abc123', buyerVerusId: 'buyer@', amount: 5, currency: 'VRSCTEST' };
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+const TS = Math.floor(NOW / 1000);
+const ctx = (extra = {}) => ({ jobId: 'job-1', job: JOB, now: NOW, windowSec: 300, ...extra });
+
+const accept = (ts = TS, job = JOB) =>
+  `VAP-ACCEPT|Job:${job.jobHash}|Buyer:${job.buyerVerusId}|Amt:${job.amount} ${job.currency}|Ts:${ts}|I accept this job and commit to delivering the work.`;
+const deliver = (delivery, ts = TS) =>
+  `VAP-DELIVER|Job:${JOB.jobHash}|Delivery:${delivery}|Ts:${ts}|I have delivered the work for this job.`;
+
+test('canonical accept and deliver are signed', () => {
+  assert.equal(checkSignRequest({ kind: 'accept', message: accept() }, ctx()), null);
+  assert.equal(checkSignRequest({ kind: 'deliver', message: deliver('deadbeef') }, ctx()), null);
+  assert.equal(checkSignRequest({ kind: 'deliver', message: deliver('failed') }, ctx()), null);
+});
+
+test('accept for another job or amount is refused', () => {
+  const other = accept(TS, { ...JOB, amount: 500 });
+  assert.match(checkSignRequest({ kind: 'accept', message: other }, ctx()), /not the canonical accept/);
+  assert.match(checkSignRequest({ kind: 'accept', message: `${accept()} extra` }, ctx()), /not the canonical accept|template/);
+});
+
+test('stale timestamps are refused', () => {
+  assert.match(checkSignRequest({ kind: 'accept', message: accept(TS - 301) }, ctx()), /window 300s/);
+  assert.equal(checkSignRequest({ kind: 'accept', message: accept(TS - 299) }, ctx()), null);
+});
+
+test('attestations must be the platform message or the timeout record for this job', () => {
+  const platform = 'platform attestation text';
+  assert.equal(checkSignRequest({ kind: 'attestation', message: platform, timestamp: TS }, ctx({ platformAttestation: platform })), null);
+  assert.match(checkSignRequest({ kind: 'attestation', message: 'anything else', timestamp: TS }, ctx({ platformAttestation: platform })),
+    /not the platform's deletion attestation/);
+
+  const record = { jobId: 'job-1', containerId: 'c1', destroyedAt: new Date(NOW).toISOString(), deletionMethod: 'timeout' };
+  assert.equal(checkSignRequest({ kind: 'attestation', message: JSON.stringify(record) }, ctx()), null);
+  assert.match(checkSignRequest({ kind: 'attestation', message: JSON.stringify({ ...record, jobId: 'job-2' }) }, ctx()), /not for this job/);
+  assert.match(checkSignRequest({ kind: 'attestation', message: JSON.stringify({ ...record, extra: 1 }) }, ctx()), /template/);
+});
+
+test('container attestation records must match their template', () => {
+  const created = {
+    type: 'container:created', jobId: 'job-1', containerId: 'c1', agentId: 'agent-1', identity: 'a@',
+    createdAt: new Date(NOW).toISOString(), jobHash: 'abc123', ephemeral: true, memoryLimit: '2048m', cpuLimit: '1', privacyTier: 'standard',
+  };
+  assert.equal(checkSignRequest({ kind: 'container-attestation', message: JSON.stringify(created) }, ctx()), null);
+  assert.match(checkSignRequest({ kind: 'container-attestation', message: JSON.stringify({ ...created, note: 'x' }) }, ctx()), /template/);
+  assert.match(checkSignRequest({ kind: 'container-attestation', message: 'not json' }, ctx()), /JSON record/);
+});
+
+test('creation attestations must carry the container\'s real limits', () => {
+  const limits = containerLimits(2048, 1);
+  const created = {
+    type: 'container:created', jobId: 'job-1', containerId: 'c1', agentId: 'agent-1', identity: 'a@',
+    createdAt: new Date(NOW).toISOString(), jobHash: 'abc123', ephemeral: true, ...limits, privacyTier: 'ephemeral-container',
+  };
+  assert.deepEqual(limits, { memoryLimit: '2048 MB', cpuLimit: '1 CPU' });
+  assert.equal(checkSignRequest({ kind: 'container-attestation', message: JSON.stringify(created) }, ctx({ limits })), null);
+  const inflated = { ...created, memoryLimit: '8192 MB' };
+  assert.match(checkSignRequest({ kind: 'container-attestation', message: JSON.stringify(inflated) }, ctx({ limits })), /limits do not match/);
+  // Containers from before the limits were labelled: nothing to compare against
+  assert.equal(containerLimits(undefined, '1'), null);
+  assert.equal(checkSignRequest({ kind: 'container-attestation', message: JSON.stringify(inflated) }, ctx({ limits: null })), null);
+});
+
+test('declines follow the VAP-DECLINE template', () => {
+  assert.equal(declineMessage(JOB, TS, 'Currency not accepted'),
+    `VAP-DECLINE|Job:abc123|Buyer:buyer@|Amt:5 VRSCTEST|Ts:${TS}|Reason:Currency not accepted|I decline this job.`);
+  // The dispatcher signs declines itself; containers can't ask for one
+  assert.match(checkSignRequest({ kind: 'decline', message: declineMessage(JOB, TS, 'x') }, ctx()), /unknown kind/);
+});
+
+test('unknown kinds are refused', () => {
+  assert.match(checkSignRequest({ kind: 'challenge', message: 'sign me' }, ctx()), /unknown kind/);
+});